@@ -7,6 +7,10 @@
  *   - Free key:   50 messages/day
  *   - Pro key:    unlimited ($29/mo)
  * 
+ * Dashboard sync:
+ *   GET/POST /api/v1/sync stores one MECHA-DASH snapshot per API key in
+ *   data/sync/ (override with SYNC_DIR). Demo access can't sync.
+ *
  * Usage:
  *   node api-bridge.js
  *   PORT=3000 node api-bridge.js
@@ -15,11 +19,15 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
+const RecordMerge = require('./merge.js');
 
 const PORT = process.env.PORT || 18800;
 const OPENCLAW_BIN = process.env.OPENCLAW_BIN || '/opt/homebrew/bin/openclaw';
 const KEYS_FILE = path.join(__dirname, 'data', 'api-keys.json');
+const SYNC_DIR = process.env.SYNC_DIR || path.join(__dirname, 'data', 'sync');
+const SYNC_MAX_BYTES = 5 * 1024 * 1024;
 
 // ── API Keys Store ──
 let apiKeys = {};
@@ -63,6 +71,66 @@ setInterval(() => {
   }
 }, 3600000);
 
+// ── Dashboard Sync (one Store snapshot per API key) ──
+function syncFile(apiKey) {
+  const id = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+  return path.join(SYNC_DIR, `${id}.json`);
+}
+
+function readSnapshot(apiKey) {
+  try {
+    return JSON.parse(fs.readFileSync(syncFile(apiKey), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeSnapshot(apiKey, record) {
+  fs.mkdirSync(SYNC_DIR, { recursive: true });
+  const file = syncFile(apiKey);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(record));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Same merge rules as a backup import in the dashboard (merge.js), plus
+// conflict reporting. A deployment edited on both sides since the client's
+// last sync keeps the newer copy and returns the discarded one, so nobody
+// loses work silently. A record that only shares an id with an unrelated
+// one is renumbered and reported, and an invoice number already used for
+// another statement is reported and not taken.
+function mergeSnapshots(server, client, since) {
+  const { data, report, renumbered, clashes } = RecordMerge.merge(server, client, since);
+  const factoryOf = id => data.deployments.find(d => d.id === id)?.factory?.name;
+  const label = x => x.factory?.name || factoryOf(x.deploymentId) || x.id;
+  const conflicts = [
+    ...clashes.map(c => ({
+      id: c.id,
+      factory: label(data.deployments.find(d => d.id === c.id)),
+      kept: c.kept === 'incoming' ? 'local' : 'remote',
+      discarded: c.discarded
+    })),
+    ...renumbered.map(r => ({ id: r.id, factory: label(r.record), renumbered: r.renumbered })),
+    ...report.invoices.conflicts.map(number => {
+      const inv = client.invoices.find(i => i.number === number);
+      return { id: number, factory: client.deployments.find(d => d.id === inv.deploymentId)?.factory?.name || 'Invoice', duplicate: true };
+    })
+  ];
+
+  // Settings outside the merged collections follow the pushing laptop
+  const snapshot = { ...server, ...client };
+  RecordMerge.COLLECTIONS.forEach(key => { snapshot[key] = data[key]; });
+  return { snapshot, conflicts };
+}
+
+function syncAuth(req, res) {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey || apiKey === '_demo' || !apiKeys[apiKey]) {
+    json(res, 401, { error: 'sync requires a valid API key (X-API-Key header)' });
+    return null;
+  }
+  return apiKey;
+}
+
 // ── CORS ──
 const CORS = {
   'Access-Control-Allow-Origin': '*',
@@ -125,6 +193,58 @@ const server = http.createServer((req, res) => {
     return json(res, 200, { tier: u.tier, used: u.count, limit: u.limit, remaining: u.remaining });
   }
 
+  // Sync — pull the latest snapshot for this key
+  if (req.method === 'GET' && req.url === '/api/v1/sync') {
+    const apiKey = syncAuth(req, res);
+    if (!apiKey) return;
+    const record = readSnapshot(apiKey);
+    return json(res, 200, record || { snapshot: null, revision: 0, syncedAt: null });
+  }
+
+  // Sync — push a snapshot, merge it with the stored one, return the result
+  if (req.method === 'POST' && req.url === '/api/v1/sync') {
+    const apiKey = syncAuth(req, res);
+    if (!apiKey) return;
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      body += chunk;
+      if (Buffer.byteLength(body) > SYNC_MAX_BYTES) {
+        tooLarge = true;
+        body = '';
+        json(res, 413, { error: 'snapshot too large' });
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        const { snapshot, since } = JSON.parse(body);
+        if (!snapshot || !Array.isArray(snapshot.deployments)) {
+          return json(res, 400, { error: 'snapshot with a deployments list required' });
+        }
+        const stored = readSnapshot(apiKey);
+        const { snapshot: merged, conflicts } = stored?.snapshot
+          ? mergeSnapshots(stored.snapshot, snapshot, since)
+          : { snapshot, conflicts: [] };
+        const record = {
+          snapshot: merged,
+          revision: (stored?.revision || 0) + 1,
+          syncedAt: new Date().toISOString()
+        };
+        writeSnapshot(apiKey, record);
+
+        console.log(`[sync] tier=${apiKeys[apiKey].tier} rev=${record.revision} deployments=${merged.deployments.length} conflicts=${conflicts.length}`);
+        return json(res, 200, { ...record, conflicts });
+      } catch (err) {
+        console.error('[sync-error]', err.message);
+        return json(res, 400, { error: 'invalid sync body' });
+      }
+    });
+    return;
+  }
+
   // Chat
   if (req.method === 'POST' && req.url === '/api/v1/chat') {
     let body = '';
@@ -188,6 +308,8 @@ server.listen(PORT, () => {
    GET  /api/v1/health     Health check
    GET  /api/v1/pricing    Pricing tiers
    GET  /api/v1/usage      Check your usage
+   GET  /api/v1/sync       Pull dashboard snapshot (API key)
+   POST /api/v1/sync       Push + merge dashboard snapshot (API key)
    
    Tiers:
    demo    10 msg/day   (no key)
@@ -41,6 +41,223 @@ const StateMachine = {
       return true;
     }
     return false;
+  },
+
+  FLOW: ['IDLE', 'DEPLOYING', 'ACTIVE', 'EARNING', 'ENGAGING', 'COMPOUNDING'],
+
+  canTransition(from, to) {
+    return !!this.transitions[from]?.includes(to);
+  },
+
+  // Per-deployment lifecycle: { state, history: [{ from, to, at }] }
+  lifecycleOf(d) {
+    return d.lifecycle || this._inferLifecycle(d);
+  },
+
+  stateOf(d) {
+    return this.lifecycleOf(d).state;
+  },
+
+  // Deployments saved before lifecycles existed get a path up to the state
+  // their data implies, stamped at createdAt and marked as inferred
+  _inferLifecycle(d) {
+    let target = 'EARNING';
+    if (d.status === 'paused' || d.status === 'decommissioned') target = 'IDLE';
+    else if (Uptime.summary(d).robotDays === 0) target = 'DEPLOYING';
+    else if (d.seed?.status === 'harvested') target = 'COMPOUNDING';
+    else if ((d.desireState?.open_loops || 0) > 0) target = 'ENGAGING';
+
+    const at = d.createdAt || new Date().toISOString();
+    const path = target === 'IDLE' ? ['IDLE', 'DEPLOYING', 'IDLE'] : this.FLOW.slice(0, this.FLOW.indexOf(target) + 1);
+    const history = path.slice(1).map((to, i) => ({ from: path[i], to, at, inferred: true }));
+    return { state: target, history };
+  },
+
+  // Validated transition on a deployment object; the caller persists it
+  transition(d, to, at = new Date().toISOString()) {
+    const lc = this.lifecycleOf(d);
+    if (!this.canTransition(lc.state, to)) {
+      return { ok: false, error: `${lc.state} → ${to} is not a valid transition` };
+    }
+    const last = lc.history[lc.history.length - 1];
+    if (last && new Date(at) < new Date(last.at)) {
+      return { ok: false, error: `Transition can't be dated before ${last.at.slice(0, 10)}` };
+    }
+    d.lifecycle = { state: to, history: [...lc.history, { from: lc.state, to, at }] };
+    return { ok: true, from: lc.state, to };
+  },
+
+  // Milliseconds spent in each state, the current one counted up to now
+  timeIn(d) {
+    const history = this.lifecycleOf(d).history;
+    const totals = {};
+    history.forEach((h, i) => {
+      const end = history[i + 1] ? new Date(history[i + 1].at) : new Date();
+      totals[h.to] = (totals[h.to] || 0) + Math.max(0, end - new Date(h.at));
+    });
+    return totals;
+  },
+
+  // Days from first entering one state to first entering another, or null
+  daysBetween(d, fromState, toState) {
+    const history = this.lifecycleOf(d).history;
+    const start = history.find(h => h.to === fromState);
+    const end = history.find(h => h.to === toState);
+    if (!start || !end) return null;
+    return Math.max(0, Math.round((new Date(end.at) - new Date(start.at)) / 86400000));
+  }
+};
+
+// ===========================
+// Schema Migrations
+// ===========================
+const Migrations = {
+  CURRENT: '1.9.0',
+
+  // Ordered upgrade steps. Each one brings data saved by any earlier
+  // version up to its own version; never edit a step once it has shipped.
+  // Steps carry their own logic and constants instead of calling Store,
+  // Earnings or StateMachine, whose later changes must not alter old upgrades.
+  steps: [
+    {
+      version: '1.2.0',
+      description: 'Seed and lesson collections',
+      up(data) {
+        data.deployments ||= [];
+        data.seeds ||= [];
+        data.lessons ||= [];
+      }
+    },
+    {
+      version: '1.4.0',
+      description: 'Contract terms, status, lifecycle and invoices',
+      up(data) {
+        const house = { dailyRate: 200, mechaOsCut: 0.30, tiers: [], minMonthly: 0 };
+        const flow = ['IDLE', 'DEPLOYING', 'ACTIVE', 'EARNING', 'ENGAGING', 'COMPOUNDING'];
+        data.invoices ||= [];
+        data.deployments.forEach(d => {
+          d.revenue = { ...house, ...d.revenue };
+          d.status ||= 'active';
+          d.ledger ||= [];
+          if (!d.lifecycle) {
+            // The path up to the state the data implies, stamped at createdAt
+            const at = d.createdAt || new Date().toISOString();
+            const started = new Date(at.slice(0, 10)) <= new Date() && (d.robots?.count || 0) > 0;
+            const target = d.status !== 'active' ? 'IDLE'
+              : !started ? 'DEPLOYING'
+                : d.seed?.status === 'harvested' ? 'COMPOUNDING'
+                  : (d.desireState?.open_loops || 0) > 0 ? 'ENGAGING' : 'EARNING';
+            const path = target === 'IDLE' ? ['IDLE', 'DEPLOYING', 'IDLE'] : flow.slice(0, flow.indexOf(target) + 1);
+            d.lifecycle = { state: target, history: path.slice(1).map((to, i) => ({ from: path[i], to, at, inferred: true })) };
+          }
+          d.updatedAt ||= d.createdAt;
+        });
+      }
+    },
+    {
+      version: '1.5.0',
+      description: 'Embedded deployment seeds become seed records',
+      up(data) {
+        data.deployments.forEach(d => {
+          if (d.seed && !data.seeds.some(s => s.deploymentId === d.id)) {
+            const max = data.seeds.reduce((m, s) => Math.max(m, parseInt(String(s.id).slice(1)) || 0), 0);
+            data.seeds.push({
+              id: 's' + String(max + 1).padStart(3, '0'),
+              deploymentId: d.id,
+              harvestedAt: null,
+              insights: [],
+              ...d.seed
+            });
+          }
+          delete d.seed;
+          if (d.desireState) {
+            d.desireState.active_seeds = data.seeds
+              .filter(s => s.deploymentId === d.id && s.status === 'planted')
+              .map(s => s.id);
+          }
+        });
+      }
+    },
+    {
+      version: '1.6.0',
+      description: 'Seed quality scored from evidence',
+      up(data) {
+        // The scoring as it shipped; SeedEngine.score() may change later
+        data.seeds.forEach(seed => {
+          const harvested = seed.status === 'harvested';
+          const days = harvested ? Math.max(0, (new Date(seed.harvestedAt) - new Date(seed.plantedAt)) / 86400000) : null;
+          const lessons = (data.lessons || []).filter(l => l.seedId === seed.id).length;
+          const total = 0.35 +
+            (harvested ? Math.min((seed.insights || []).length, 4) : 0) * 0.05 +
+            (harvested && seed.validated ? 0.15 : 0) +
+            (days === null ? 0 : 0.10 * Math.min(1, Math.max(0, (90 - days) / (90 - 14)))) +
+            Math.min(lessons, 3) * 0.06;
+          seed.quality = Math.round(Math.min(0.98, total) * 1000) / 1000;
+        });
+      }
+    },
+    {
+      version: '1.7.0',
+      description: 'Touch log behind days-since-touch and anticipation decay',
+      up(data) {
+        const now = Date.now();
+        data.deployments.forEach(d => {
+          if (d.touches) return;
+          const ds = d.desireState || {};
+          // The stored counter is the only trace of the last touch
+          d.touches = Number.isFinite(ds.days_since_touch)
+            ? [{ id: 't001', at: new Date(now - ds.days_since_touch * 86400000).toISOString(), inferred: true }]
+            : [];
+          if (d.desireState) d.desireState.anticipation_at ||= new Date(now).toISOString();
+        });
+      }
+    },
+    {
+      version: '1.8.0',
+      description: 'Contract currency on each deployment',
+      up(data) {
+        // Every rate so far was entered in US dollars
+        data.deployments.forEach(d => {
+          d.revenue = { ...d.revenue, currency: d.revenue?.currency || 'USD' };
+        });
+      }
+    },
+    {
+      version: '1.9.0',
+      description: 'Saved proposals',
+      up(data) {
+        data.proposals ||= [];
+      }
+    }
+  ],
+
+  // Semver-style compare: -1, 0 or 1
+  compare(a, b) {
+    const pa = String(a).split('.').map(n => parseInt(n) || 0);
+    const pb = String(b).split('.').map(n => parseInt(n) || 0);
+    for (let i = 0; i < 3; i++) {
+      if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) > (pb[i] || 0) ? 1 : -1;
+    }
+    return 0;
+  },
+
+  // Upgrades data in place. Data from a newer dashboard is left untouched.
+  run(data) {
+    const from = data.version || '1.0.0';
+    if (this.compare(from, this.CURRENT) > 0) {
+      return {
+        error: `Saved data is schema v${from}, newer than this dashboard (v${this.CURRENT}). ` +
+          'Update MECHA-DASH before opening it — nothing was changed.'
+      };
+    }
+    const pending = this.steps.filter(step => this.compare(step.version, from) > 0);
+    pending.forEach(step => {
+      step.up(data);
+      data.version = step.version;
+      (data.migrations ||= []).push({ version: step.version, appliedAt: new Date().toISOString() });
+    });
+    data.version = this.CURRENT;
+    return { data, applied: pending.map(step => step.version) };
   }
 };
 
@@ -54,21 +271,96 @@ const Store = {
     deployments: [],
     seeds: [],
     lessons: [],
-    version: '1.0.0'
+    invoices: [],
+    proposals: [],
+    desireRules: null, // null → DesireEngine.DEFAULT_RULES
+    currency: null,    // null → Currency.BASE display, DEFAULT_RATES
+    version: Migrations.CURRENT
+  },
+
+  // Set when stored data can't be opened (newer schema); saving is blocked
+  // so the newer data is never overwritten
+  loadError: null,
+
+  // In-memory working copy: reads never touch storage after the first load
+  _cache: null,
+  adapter: null,
+  _writing: Promise.resolve(),
+
+  _fresh() {
+    return JSON.parse(JSON.stringify(this._defaults));
+  },
+
+  // Upgrade raw stored data and make it the cache. Returns true when
+  // migrations ran, so the caller can write the upgraded copy back.
+  _adopt(raw) {
+    if (!raw) {
+      this._cache = this._fresh();
+      return false;
+    }
+    const result = Migrations.run(raw);
+    if (result.error) {
+      this.loadError = result.error;
+      this._cache = this._fresh();
+      return false;
+    }
+    this._cache = result.data;
+    if (result.applied.length) {
+      Bus.emit('data:migrated', { applied: result.applied, version: result.data.version });
+    }
+    return result.applied.length > 0;
+  },
+
+  // Pick a storage adapter (IndexedDB, else localStorage) and load from it
+  async init() {
+    this.adapter = typeof StorageAdapters !== 'undefined'
+      ? await StorageAdapters.pick(this._key)
+      : null;
+    let raw = null;
+    try {
+      raw = this.adapter ? await this.adapter.read(this._key) : null;
+    } catch {
+      raw = null;
+    }
+    if (this._adopt(raw)) this._persist(this._cache);
+    Bus.emit('data:ready', { adapter: this.adapter?.name || 'localStorage' });
   },
 
+  // Before init() (or without an adapter) the original synchronous
+  // localStorage blob is used
   load() {
+    if (this._cache) return this._cache;
+    let raw = null;
     try {
-      const raw = localStorage.getItem(this._key);
-      return raw ? JSON.parse(raw) : { ...this._defaults };
+      const stored = localStorage.getItem(this._key);
+      raw = stored ? JSON.parse(stored) : null;
     } catch {
-      return { ...this._defaults };
+      raw = null;
     }
+    if (this._adopt(raw)) this._persist(this._cache);
+    return this._cache;
+  },
+
+  _persist(data) {
+    if (!this.adapter) {
+      localStorage.setItem(this._key, JSON.stringify(data));
+      return;
+    }
+    const snapshot = JSON.parse(JSON.stringify(data));
+    this._writing = this._writing
+      .then(() => this.adapter.write(this._key, snapshot))
+      .catch(err => Bus.emit('data:error', { error: err?.message || String(err) }));
   },
 
   save(data) {
-    localStorage.setItem(this._key, JSON.stringify(data));
+    if (this.loadError) {
+      Bus.emit('data:blocked', { error: this.loadError });
+      return false;
+    }
+    this._cache = data;
+    this._persist(data);
     Bus.emit('data:saved', data);
+    return true;
   },
 
   get() {
@@ -77,25 +369,27 @@ const Store = {
 
   addDeployment(deployment) {
     const data = this.load();
-    deployment.id = 'd' + String(data.deployments.length + 1).padStart(3, '0');
+    deployment.id = this._nextId('d', data.deployments);
     deployment.createdAt = new Date().toISOString();
+    deployment.updatedAt = deployment.createdAt;
     deployment.daysActive = 0;
+    deployment.lifecycle = {
+      state: 'DEPLOYING',
+      history: [{ from: 'IDLE', to: 'DEPLOYING', at: deployment.createdAt }]
+    };
     deployment.desireState = {
       open_loops: 0,
-      max_loops: 3,
       anticipation_level: 0,
+      anticipation_at: deployment.createdAt,
       days_since_touch: 0,
       active_seeds: [],
       stage: 'CUE',
       content_rotation: 'insight'
     };
-    deployment.seed = {
-      type: 'hypothesis',
-      quality: 0.35,
-      status: 'planted',
-      plantedAt: new Date().toISOString()
-    };
+    deployment.touches = [];
+    deployment.customer ||= { domains: [], contacts: [] };
     data.deployments.push(deployment);
+    this._plant(data, deployment.id, 'hypothesis');
     this.save(data);
     Bus.emit('deployment:added', deployment);
     return deployment;
@@ -109,25 +403,385 @@ const Store = {
     const data = this.load();
     const idx = data.deployments.findIndex(d => d.id === id);
     if (idx !== -1) {
-      Object.assign(data.deployments[idx], updates);
+      Object.assign(data.deployments[idx], updates, { updatedAt: new Date().toISOString() });
       this.save(data);
       Bus.emit('deployment:updated', data.deployments[idx]);
     }
   },
 
+  STATUSES: ['active', 'paused', 'decommissioned'],
+
+  // Edits from the deployment detail view. A robot count change is logged in
+  // fleetChanges so days already worked keep the fleet size they had.
+  editDeployment(id, { factory, robots, revenue, customer }) {
+    const d = this.getDeployments().find(x => x.id === id);
+    if (!d) return;
+    const updates = {
+      factory: { ...d.factory, ...factory },
+      robots: { ...d.robots, ...robots },
+      revenue: { ...d.revenue, ...revenue }
+    };
+    if (customer) updates.customer = { ...CustomerRegistry.customerOf(d), ...customer };
+    if (robots?.count !== undefined && robots.count !== d.robots?.count) {
+      const changes = d.fleetChanges?.length ? [...d.fleetChanges] : [{ at: d.createdAt, count: d.robots?.count || 0 }];
+      changes.push({ at: new Date().toISOString(), count: robots.count });
+      updates.fleetChanges = changes;
+    }
+    this.updateDeployment(id, updates);
+  },
+
+  // active ⇄ paused → decommissioned. Pauses are kept as dated intervals so
+  // Uptime can skip them; decommissioned deployments stay in the list.
+  // Pausing or decommissioning drops the lifecycle to IDLE, resuming
+  // restarts it at DEPLOYING.
+  setStatus(id, status) {
+    const d = this.getDeployments().find(x => x.id === id);
+    if (!d || !this.STATUSES.includes(status) || d.status === 'decommissioned') return false;
+    const now = new Date().toISOString();
+    const pauses = (d.pauses || []).map(p => ({ ...p }));
+    const open = pauses.find(p => !p.to);
+    if (status === 'paused' && !open) pauses.push({ from: now, to: null });
+    if (status !== 'paused' && open) open.to = now;
+    const target = status === 'active' ? 'DEPLOYING' : 'IDLE';
+    if (StateMachine.stateOf(d) !== target) StateMachine.transition(d, target, now);
+    const updates = { status, pauses, lifecycle: StateMachine.lifecycleOf(d) };
+    if (status === 'decommissioned') updates.decommissionedAt = now;
+    this.updateDeployment(id, updates);
+    Bus.emit('deployment:status', { id, status });
+    return true;
+  },
+
+  transitionDeployment(id, to, at) {
+    const d = this.getDeployments().find(x => x.id === id);
+    if (!d) return { ok: false, error: 'Deployment not found' };
+    if (!this.isActive(d)) return { ok: false, error: `Deployment is ${d.status} — resume it first` };
+    const result = StateMachine.transition(d, to, at);
+    if (!result.ok) return result;
+    this.updateDeployment(id, { lifecycle: d.lifecycle });
+    Bus.emit('state:change', { id, from: result.from, to: result.to });
+    return result;
+  },
+
+  isActive(d) {
+    return !d.status || d.status === 'active';
+  },
+
+  // Next sequential id for a prefixed list ('u' + ['u001', 'u003'] → 'u004')
+  _nextId(prefix, items) {
+    const max = items.reduce((m, x) => Math.max(m, parseInt(String(x.id).slice(prefix.length)) || 0), 0);
+    return prefix + String(max + 1).padStart(3, '0');
+  },
+
+  addLedgerEntry(deploymentId, entry) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return null;
+    const ledger = d.ledger || [];
+    entry.id = this._nextId('u', ledger);
+    entry.createdAt = new Date().toISOString();
+    this.updateDeployment(deploymentId, { ledger: [...ledger, entry] });
+    return entry;
+  },
+
+  removeLedgerEntry(deploymentId, entryId) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return;
+    this.updateDeployment(deploymentId, { ledger: (d.ledger || []).filter(e => e.id !== entryId) });
+  },
+
+  // --- Engagement ---
+  addTouch(deploymentId, touch = {}) {
+    const data = this.load();
+    const d = data.deployments.find(x => x.id === deploymentId);
+    if (!d) return null;
+    d.touches ||= [];
+    const entry = { id: this._nextId('t', d.touches), at: new Date().toISOString(), ...touch };
+    if (d.desireState) {
+      entry.stage = d.desireState.stage;
+      entry.advancedTo = DesireEngine.applyTouch(d.desireState, entry);
+    }
+    d.touches.push(entry);
+    this._refreshDesire(d);
+    d.updatedAt = new Date().toISOString();
+    this.save(data);
+    Bus.emit('deployment:touched', { deployment: d, touch: entry });
+    return entry;
+  },
+
+  _refreshDesire(d, now = new Date()) {
+    if (!d.desireState) return [];
+    const actions = DesireEngine.actionsFor(d, now);
+    d.desireState.days_since_touch = DesireEngine.daysSinceTouch(d, now);
+    d.desireState.next_action = actions[0].action;
+    return actions;
+  },
+
+  // Brings every deployment's days_since_touch and next action up to date,
+  // saving only when one of them moved (and never over blocked data).
+  // Returns the deployments whose boss has gone too long without a touch.
+  refreshDesire(now = new Date()) {
+    const data = this.load();
+    let changed = false;
+    const overdue = data.deployments.filter(d => {
+      if (!this.isActive(d)) return false;
+      const before = d.desireState && `${d.desireState.days_since_touch}|${d.desireState.next_action}`;
+      const actions = this._refreshDesire(d, now);
+      if (d.desireState && `${d.desireState.days_since_touch}|${d.desireState.next_action}` !== before) changed = true;
+      return actions.some(a => a.action === 'FORCE_TOUCH');
+    });
+    if (changed && !this.loadError) this.save(data);
+    if (overdue.length) Bus.emit('desire:force_touch', overdue);
+    return overdue;
+  },
+
+  // --- Risk flags & email signals ---
+  addRisk(deploymentId, risk) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return null;
+    const entry = { id: this._nextId('risk', d.risks || []), raisedAt: new Date().toISOString(), resolvedAt: null, ...risk };
+    this.updateDeployment(deploymentId, { risks: [...(d.risks || []), entry] });
+    return entry;
+  },
+
+  resolveRisk(deploymentId, riskId) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return;
+    const resolvedAt = new Date().toISOString();
+    this.updateDeployment(deploymentId, {
+      risks: (d.risks || []).map(r => (r.id === riskId ? { ...r, resolvedAt } : r))
+    });
+  },
+
+  openRisks(d) {
+    return (d.risks || []).filter(r => !r.resolvedAt);
+  },
+
+  // --- Onboarding checklist ---
+  confirmTier1(deploymentId, num) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d?.onboarding) return;
+    const at = new Date().toISOString();
+    this.updateDeployment(deploymentId, {
+      onboarding: {
+        ...d.onboarding,
+        tier1: d.onboarding.tier1.map(t => (t.num === num && !t.confirmedAt ? { ...t, confirmedAt: at } : t))
+      }
+    });
+  },
+
+  answerQuestion(deploymentId, index, answer) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d?.onboarding?.questions?.[index]) return;
+    const text = String(answer || '').trim();
+    this.updateDeployment(deploymentId, {
+      onboarding: {
+        ...d.onboarding,
+        questions: d.onboarding.questions.map((q, i) => (i === index ? { ...q, answer: text, answeredAt: text ? new Date().toISOString() : null } : q))
+      }
+    });
+  },
+
+  // Applied signals are recorded on the deployment so backups and sync carry them
+  markSignalApplied(deploymentId, record) {
+    const d = this.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return;
+    this.updateDeployment(deploymentId, {
+      appliedSignals: [...(d.appliedSignals || []), { ...record, appliedAt: new Date().toISOString() }]
+    });
+  },
+
+  // --- Currency ---
+  // { display, rates: { code: units per 1 USD }, updatedAt }
+  saveCurrency({ display, rates }) {
+    const data = this.load();
+    const current = Currency.settings();
+    data.currency = {
+      display: Currency.isCode(display) ? display : current.display,
+      rates: { ...current.rates, ...rates },
+      updatedAt: new Date().toISOString()
+    };
+    this.save(data);
+    Bus.emit('currency:changed', data.currency);
+  },
+
+  // --- Desire Engine rules ---
+  // { default: [rules], overrides: { [factoryType]: [rules] } }
+  getDesireRules() {
+    const stored = this.load().desireRules || {};
+    return {
+      default: stored.default || DesireEngine.DEFAULT_RULES,
+      overrides: stored.overrides || {}
+    };
+  },
+
+  // factoryType null saves the default set
+  saveDesireRules(factoryType, rules) {
+    const data = this.load();
+    const set = this.getDesireRules();
+    if (factoryType) set.overrides = { ...set.overrides, [factoryType]: rules };
+    else set.default = rules;
+    data.desireRules = set;
+    this.save(data);
+    Bus.emit('desire:rules', { factoryType, rules });
+  },
+
+  resetDesireRules(factoryType) {
+    const data = this.load();
+    const set = this.getDesireRules();
+    if (factoryType) delete set.overrides[factoryType];
+    else set.default = DesireEngine.DEFAULT_RULES;
+    data.desireRules = set;
+    this.save(data);
+    Bus.emit('desire:rules', { factoryType, rules: null });
+  },
+
+  // --- Seeds ---
+  _plant(data, deploymentId, type) {
+    const seed = { id: this._nextId('s', data.seeds), ...SeedEngine.plant(deploymentId, type) };
+    data.seeds.push(seed);
+    this._rescore(data, seed);
+    this._syncActiveSeeds(data, deploymentId);
+    return seed;
+  },
+
+  // desireState.active_seeds mirrors the deployment's planted seed ids
+  _syncActiveSeeds(data, deploymentId) {
+    const d = data.deployments.find(x => x.id === deploymentId);
+    if (!d?.desireState) return;
+    d.desireState.active_seeds = data.seeds
+      .filter(s => s.deploymentId === deploymentId && s.status === 'planted')
+      .map(s => s.id);
+  },
+
+  plantSeed(deploymentId, type = 'hypothesis') {
+    const data = this.load();
+    if (!data.deployments.some(d => d.id === deploymentId)) return null;
+    const seed = this._plant(data, deploymentId, type);
+    this.save(data);
+    Bus.emit('seed:planted', seed);
+    return seed;
+  },
+
+  harvestSeed(id, insights = []) {
+    const data = this.load();
+    const seed = data.seeds.find(s => s.id === id);
+    if (!seed || seed.status !== 'planted') return null;
+    SeedEngine.harvest(seed, insights);
+    seed.updatedAt = seed.harvestedAt;
+    this._rescore(data, seed);
+    this._syncActiveSeeds(data, seed.deploymentId);
+    this.save(data);
+    Bus.emit('seed:harvested', seed);
+    return seed;
+  },
+
+  // Field confirmation of a harvested seed's insights
+  validateSeed(id) {
+    const data = this.load();
+    const seed = data.seeds.find(s => s.id === id);
+    if (!seed || seed.status !== 'harvested' || seed.validated) return null;
+    seed.validated = true;
+    seed.validatedAt = new Date().toISOString();
+    seed.updatedAt = seed.validatedAt;
+    this._rescore(data, seed);
+    this.save(data);
+    Bus.emit('seed:validated', seed);
+    return seed;
+  },
+
+  _rescore(data, seed) {
+    seed.quality = SeedEngine.score(seed, (data.lessons || []).filter(l => l.seedId === seed.id)).quality;
+  },
+
+  getSeeds(deploymentId) {
+    const seeds = this.load().seeds;
+    return deploymentId ? seeds.filter(s => s.deploymentId === deploymentId) : seeds;
+  },
+
   addLesson(lesson) {
     const data = this.load();
-    lesson.id = 'l' + String(data.lessons.length + 1).padStart(3, '0');
+    lesson.id = this._nextId('l', data.lessons);
     lesson.createdAt = new Date().toISOString();
     data.lessons.push(lesson);
+    const seed = lesson.seedId && data.seeds.find(s => s.id === lesson.seedId);
+    if (seed) this._rescore(data, seed);
     this.save(data);
     Bus.emit('lesson:added', lesson);
+    return lesson;
   },
 
   getLessons() {
     return this.load().lessons;
   },
 
+  // Invoice numbers are sequential across all deployments: INV-2026-0001
+  addInvoice(invoice) {
+    const data = this.load();
+    data.invoices ||= [];
+    const year = invoice.period.slice(0, 4);
+    const seq = data.invoices
+      .filter(i => i.number.startsWith(`INV-${year}-`))
+      .reduce((max, i) => Math.max(max, parseInt(i.number.slice(9)) || 0), 0) + 1;
+    invoice.number = `INV-${year}-${String(seq).padStart(4, '0')}`;
+    invoice.issuedAt = new Date().toISOString();
+    data.invoices.push(invoice);
+    this.save(data);
+    Bus.emit('invoice:issued', invoice);
+    return invoice;
+  },
+
+  getInvoices() {
+    return this.load().invoices || [];
+  },
+
+  // --- Proposals ---
+  PROPOSAL_STATUSES: ['draft', 'sent', 'negotiating', 'won', 'lost'],
+
+  addProposal(proposal) {
+    const data = this.load();
+    data.proposals ||= [];
+    proposal.id = this._nextId('p', data.proposals);
+    proposal.createdAt = new Date().toISOString();
+    proposal.updatedAt = proposal.createdAt;
+    proposal.status = 'draft';
+    proposal.statusHistory = [{ status: 'draft', at: proposal.createdAt }];
+    proposal.deploymentId = null;
+    data.proposals.push(proposal);
+    this.save(data);
+    Bus.emit('proposal:saved', proposal);
+    return proposal;
+  },
+
+  getProposals() {
+    return this.load().proposals || [];
+  },
+
+  // Won is final and needs the deployment it turned into
+  setProposalStatus(id, status, deploymentId = null) {
+    const data = this.load();
+    const p = (data.proposals || []).find(x => x.id === id);
+    if (!p || !this.PROPOSAL_STATUSES.includes(status) || p.status === 'won' || p.status === status) return null;
+    if (status === 'won' && !deploymentId) return null;
+    const at = new Date().toISOString();
+    p.status = status;
+    p.statusHistory = [...(p.statusHistory || []), { status, at }];
+    if (deploymentId) p.deploymentId = deploymentId;
+    p.updatedAt = at;
+    this.save(data);
+    Bus.emit('proposal:updated', p);
+    return p;
+  },
+
+  // Swap in a whole dataset (backup restore / merge)
+  // Seeds from a backup or sync are rescored against the lessons they now
+  // sit next to, so merged evidence counts
+  replaceAll(data) {
+    const next = { ...this._fresh(), ...data };
+    next.seeds = next.seeds.map(seed => ({ ...seed }));
+    next.seeds.forEach(seed => this._rescore(next, seed));
+    this.save(next);
+    Bus.emit('data:restored', data);
+  },
+
   async loadSeedData() {
     const data = this.load();
     if (data.deployments.length > 0) return false; // Already has data
@@ -137,7 +791,18 @@ const Store = {
       if (!res.ok) return false;
       const seedData = await res.json();
       if (seedData.deployments && seedData.deployments.length > 0) {
-        data.deployments = seedData.deployments;
+        // Seed records ship separately; without them each deployment's
+        // embedded seed is migrated into one
+        const seeds = await fetch('data/seeds.json')
+          .then(r => (r.ok ? r.json() : {}))
+          .catch(() => ({}));
+        const migrated = Migrations.run({ ...seedData, seeds: seeds.seeds || [] });
+        if (migrated.error) return false;
+        const customers = await fetch(CustomerRegistry.FILE)
+          .then(r => (r.ok ? r.json() : {}))
+          .catch(() => ({}));
+        data.deployments = CustomerRegistry.adopt(customers, migrated.data.deployments);
+        data.seeds = migrated.data.seeds;
         this.save(data);
         Bus.emit('data:seeded', { count: seedData.deployments.length });
         return true;
@@ -149,34 +814,143 @@ const Store = {
   }
 };
 
+// ===========================
+// Currency
+// ===========================
+// Amounts stay in each deployment's contract currency; totals and the
+// pitch are converted to the dashboard's display currency through a rate
+// table kept in Store (units per 1 USD, edited by hand in EARN).
+const Currency = {
+  BASE: 'USD',
+  CODES: {
+    USD: { prefix: '$', label: 'US Dollar' },
+    TWD: { prefix: 'NT$ ', label: 'New Taiwan Dollar' },
+    VND: { prefix: '₫', label: 'Vietnamese Dong' }
+  },
+  DEFAULT_RATES: { USD: 1, TWD: 32, VND: 25000 },
+
+  isCode(code) {
+    return Object.prototype.hasOwnProperty.call(this.CODES, code);
+  },
+
+  settings() {
+    const stored = Store.load().currency || {};
+    return {
+      display: this.isCode(stored.display) ? stored.display : this.BASE,
+      rates: { ...this.DEFAULT_RATES, ...stored.rates, [this.BASE]: 1 },
+      updatedAt: stored.updatedAt || null
+    };
+  },
+
+  display() {
+    return this.settings().display;
+  },
+
+  convert(amount, from, to = this.display(), rates = this.settings().rates) {
+    if (from === to || !rates[from] || !rates[to]) return amount;
+    return amount / rates[from] * rates[to];
+  },
+
+  prefix(code = this.display()) {
+    return this.CODES[code]?.prefix ?? `${code} `;
+  },
+
+  format(amount, code = this.display()) {
+    return this.prefix(code) + Math.round(amount).toLocaleString();
+  },
+
+  // Format an amount held in `from` in the display currency
+  show(amount, from) {
+    return this.format(this.convert(amount, from));
+  }
+};
+
 // ===========================
 // Earnings Calculator (from mecha-os)
 // ===========================
 const Earnings = {
   DAILY_RATE: 200,
   MECHA_CUT: 0.30,
+  CURRENCY: 'USD', // house rates above are quoted in US dollars
+
+  // Contract terms for one deployment, falling back to house defaults.
+  // tiers: [{ minRobots, dailyRate }] — the highest threshold reached wins.
+  // minMonthly: guaranteed gross per 30 days, prorated for partial months.
+  terms(revenue) {
+    const r = revenue || {};
+    return {
+      currency: Currency.isCode(r.currency) ? r.currency : this.CURRENCY,
+      dailyRate: Number(r.dailyRate) || this.DAILY_RATE,
+      mechaOsCut: Number.isFinite(r.mechaOsCut) ? r.mechaOsCut : this.MECHA_CUT,
+      tiers: Array.isArray(r.tiers) ? r.tiers : [],
+      minMonthly: Number(r.minMonthly) || 0
+    };
+  },
 
-  calculate(robots, days) {
-    const gross = robots * this.DAILY_RATE * days;
+  rateFor(robots, terms) {
+    const tier = terms.tiers
+      .filter(t => robots >= t.minRobots)
+      .sort((a, b) => b.minRobots - a.minRobots)[0];
+    return tier ? tier.dailyRate : terms.dailyRate;
+  },
+
+  // days = days actually worked; contractDays (calendar days under contract)
+  // drives the monthly guarantee so downtime can't erase it
+  calculate(robots, days, revenue, contractDays = days) {
+    const t = this.terms(revenue);
+    const dailyRate = this.rateFor(robots, t);
+    const earned = Math.round(robots * dailyRate * days);
+    const guarantee = Math.round(t.minMonthly * contractDays / 30);
+    const gross = Math.max(earned, guarantee);
     return {
       gross,
-      mechaOsCut: Math.round(gross * this.MECHA_CUT),
-      bossTake: Math.round(gross * (1 - this.MECHA_CUT))
+      mechaOsCut: Math.round(gross * t.mechaOsCut),
+      bossTake: Math.round(gross * (1 - t.mechaOsCut)),
+      currency: t.currency,
+      dailyRate,
+      cut: t.mechaOsCut,
+      guaranteeApplied: guarantee > earned
     };
   },
 
-  totalFromDeployments(deployments) {
-    return deployments.reduce((acc, d) => {
-      const days = d.daysActive || this.daysSince(d.createdAt);
-      const e = this.calculate(d.robots?.count || 0, days);
+  // Revenue from robot-days actually worked according to the uptime ledger,
+  // optionally limited to a { from, to } billing period
+  forDeployment(d, period) {
+    const robots = d.robots?.count || 0;
+    const u = Uptime.summary(d, period);
+    const days = robots ? u.robotDays / robots : 0;
+    return { ...this.calculate(robots, days, d.revenue, u.contractDays), uptime: u };
+  },
+
+  // Money totals are converted into `currency` (the display currency)
+  totalFromDeployments(deployments, currency = Currency.display()) {
+    const rates = Currency.settings().rates;
+    const totals = deployments.reduce((acc, d) => {
+      const e = this.forDeployment(d);
+      const fx = amount => Currency.convert(amount, e.currency, currency, rates);
       return {
-        gross: acc.gross + e.gross,
-        mechaOsCut: acc.mechaOsCut + e.mechaOsCut,
-        bossTake: acc.bossTake + e.bossTake,
-        totalRobots: acc.totalRobots + (d.robots?.count || 0),
-        totalDays: acc.totalDays + days
+        gross: acc.gross + fx(e.gross),
+        mechaOsCut: acc.mechaOsCut + fx(e.mechaOsCut),
+        bossTake: acc.bossTake + fx(e.bossTake),
+        totalRobots: acc.totalRobots + (Store.isActive(d) ? d.robots?.count || 0 : 0),
+        totalDays: acc.totalDays + e.uptime.workedDays
       };
     }, { gross: 0, mechaOsCut: 0, bossTake: 0, totalRobots: 0, totalDays: 0 });
+    return {
+      ...totals,
+      gross: Math.round(totals.gross),
+      mechaOsCut: Math.round(totals.mechaOsCut),
+      bossTake: Math.round(totals.bossTake),
+      currency
+    };
+  },
+
+  // "10:180, 20:160" → [{ minRobots: 10, dailyRate: 180 }, ...]
+  parseTiers(text) {
+    return String(text || '').split(',')
+      .map(part => part.split(':').map(n => parseInt(n)))
+      .filter(([minRobots, dailyRate]) => minRobots > 0 && dailyRate > 0)
+      .map(([minRobots, dailyRate]) => ({ minRobots, dailyRate }));
   },
 
   daysSince(isoDate) {
@@ -186,6 +960,97 @@ const Earnings = {
   }
 };
 
+// ===========================
+// Uptime Ledger
+// ===========================
+const Uptime = {
+  KINDS: ['worked', 'downtime', 'maintenance'],
+  KIND_INFO: {
+    worked: { label: 'Worked', icon: '✅' },
+    downtime: { label: 'Downtime', icon: '⚡' },
+    maintenance: { label: 'Maintenance', icon: '🔧' }
+  },
+  UTILISATION_THRESHOLD: 0.85,
+
+  // Day number (days since epoch, UTC) of an ISO date or timestamp
+  _day(iso) {
+    const t = Date.parse(String(iso || '').slice(0, 10));
+    return isNaN(t) ? NaN : Math.floor(t / 86400000);
+  },
+
+  _between(a, b) {
+    const days = [];
+    for (let i = a; i <= b; i++) days.push(i);
+    return days;
+  },
+
+  // Inclusive day numbers of a from → to date range, clipped to [min, max]
+  _range(from, to, min = -Infinity, max = Infinity) {
+    return this._between(Math.max(this._day(from), min), Math.min(this._day(to || from), max));
+  },
+
+  // Robot count in effect on a given day, following fleet changes
+  robotsOn(d, day) {
+    const changes = d.fleetChanges || [];
+    if (changes.length === 0) return d.robots?.count || 0;
+    const applied = changes.filter(c => this._day(c.at) <= day);
+    return (applied[applied.length - 1] || changes[0]).count;
+  },
+
+  // Worked days come from 'worked' entries once any are logged; until then
+  // every contract day counts. Paused days never accrue, decommissioning
+  // ends the contract, and downtime/maintenance remove robot-days for the
+  // robots they affect. An optional { from, to } period clips everything.
+  summary(d, period) {
+    const ledger = d.ledger || [];
+    const todayIso = new Date().toISOString();
+    let start = this._day(d.createdAt);
+    let end = this._day(todayIso);
+    if (d.decommissionedAt) end = Math.min(end, this._day(d.decommissionedAt));
+    if (period) {
+      start = Math.max(start, this._day(period.from));
+      end = Math.min(end, this._day(period.to));
+    }
+    const calendarDays = Math.max(0, end - start + 1);
+
+    const paused = new Set((d.pauses || []).flatMap(p => this._range(p.from, p.to || todayIso, start, end)));
+
+    const worked = ledger.filter(e => e.kind === 'worked');
+    const baseDays = worked.length
+      ? [...new Set(worked.flatMap(e => this._range(e.from, e.to, start, end)))]
+      : this._between(start, end);
+    const workedDays = new Set(baseDays.filter(day => !paused.has(day)));
+
+    const outages = ledger.filter(e => e.kind === 'downtime' || e.kind === 'maintenance');
+    const lost = new Map();
+    outages.forEach(e => {
+      this._range(e.from, e.to, start, end).filter(day => workedDays.has(day)).forEach(day => {
+        const robots = this.robotsOn(d, day);
+        lost.set(day, Math.min(robots, (lost.get(day) || 0) + (e.robots || robots)));
+      });
+    });
+
+    const capacity = [...workedDays].reduce((sum, day) => sum + this.robotsOn(d, day), 0);
+    const lostRobotDays = [...lost.values()].reduce((sum, n) => sum + n, 0);
+    const robotDays = Math.max(0, capacity - lostRobotDays);
+    const utilisation = capacity ? robotDays / capacity : 1;
+    const inPeriod = e => this._range(e.from, e.to, start, end).length > 0;
+
+    return {
+      calendarDays,
+      pausedDays: paused.size,
+      contractDays: calendarDays - paused.size,
+      workedDays: workedDays.size,
+      robotDays,
+      lostRobotDays,
+      incidents: outages.filter(e => e.kind === 'downtime' && inPeriod(e)).length,
+      maintenanceWindows: outages.filter(e => e.kind === 'maintenance' && inPeriod(e)).length,
+      utilisation,
+      belowThreshold: utilisation < this.UTILISATION_THRESHOLD
+    };
+  }
+};
+
 // ===========================
 // Desire Engine (from franchise-os)
 // ===========================
@@ -203,25 +1068,158 @@ const DesireEngine = {
 
   CONTENT_TYPES: ['insight', 'celebration', 'question', 'surprise'],
 
-  getNextAction(desireState) {
-    const ds = desireState;
-    const actions = [];
+  CHANNELS: {
+    visit: { label: 'Visit', icon: '🏭' },
+    line: { label: 'LINE', icon: '💬' },
+    phone: { label: 'Phone', icon: '📞' },
+    email: { label: 'Email', icon: '📧' }
+  },
 
-    if (ds.open_loops >= ds.max_loops) {
-      actions.push({ action: 'PAUSE', reason: 'Max open loops reached — don\'t overwhelm', priority: 'low' });
-    }
-    if (ds.days_since_touch >= 7) {
-      actions.push({ action: 'FORCE_TOUCH', reason: 'Loop is dying — force contact today', priority: 'critical' });
-    }
-    if (ds.days_since_touch <= 1) {
-      actions.push({ action: 'SKIP', reason: 'Spacing creates anticipation — wait', priority: 'low' });
-    }
-    if (ds.open_loops === 0) {
-      actions.push({ action: 'PLANT_CUE', reason: 'No open loops — plant a new seed', priority: 'high' });
+  // How the boss reacted decides what the touch does to the loop
+  REACTIONS: {
+    hooked: { label: 'Hooked — asked for more', icon: '🔥', anticipation: 2, closesLoop: true, advance: true },
+    positive: { label: 'Positive', icon: '🙂', anticipation: -1, closesLoop: true, advance: false },
+    neutral: { label: 'Neutral', icon: '😐', anticipation: -3, closesLoop: true, advance: false },
+    negative: { label: 'Negative', icon: '🙁', anticipation: -5, closesLoop: true, advance: false },
+    no_response: { label: 'No response', icon: '🔇', anticipation: -1, closesLoop: false, advance: false }
+  },
+
+  FORCE_TOUCH_DAYS: 7, // fallbacks when a rule set has no FORCE_TOUCH / SKIP / PAUSE rule
+  SKIP_DAYS: 1,
+  MAX_LOOPS: 3,
+  DECAY_PER_DAY: 0.5, // anticipation points lost per day without a touch
+
+  _days(from, to) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / 86400000));
+  },
+
+  // Latest entry in d.touches; a deployment nobody has touched yet counts from createdAt
+  lastTouchAt(d) {
+    const touches = d.touches || [];
+    if (touches.length === 0) return d.createdAt;
+    return touches.reduce((latest, t) => (t.at > latest ? t.at : latest), touches[0].at);
+  },
+
+  daysSinceTouch(d, now = new Date()) {
+    return this._days(this.lastTouchAt(d), now);
+  },
+
+  // anticipation_level is the value recorded at anticipation_at; it decays from there
+  anticipation(ds, now = new Date()) {
+    const since = ds.anticipation_at ? (new Date(now) - new Date(ds.anticipation_at)) / 86400000 : 0;
+    return Math.max(0, (ds.anticipation_level || 0) - Math.max(0, since) * this.DECAY_PER_DAY);
+  },
+
+  setAnticipation(ds, level, at = new Date().toISOString()) {
+    ds.anticipation_level = Math.min(10, Math.max(0, level));
+    ds.anticipation_at = at;
+    return ds.anticipation_level;
+  },
+
+  // desireState with the time-dependent fields worked out for `now`
+  current(d, now = new Date()) {
+    const ds = d.desireState || {};
+    return {
+      ...ds,
+      days_since_touch: this.daysSinceTouch(d, now),
+      anticipation_level: Math.round(this.anticipation(ds, now) * 10) / 10
+    };
+  },
+
+  // --- Rules ---
+  // A rule fires when all of its conditions hold. Rule sets live in Store
+  // (Store.getDesireRules) with optional per-factory-type overrides.
+  ACTIONS: ['FORCE_TOUCH', 'PLANT_CUE', 'DELIVER_REWARD', 'MAINTAIN', 'SKIP', 'PAUSE'],
+  PRIORITIES: ['critical', 'high', 'medium', 'low'],
+  FACTS: ['days_since_touch', 'anticipation_level', 'open_loops', 'loops_free'],
+  OPS: ['>=', '>', '<=', '<', '=='],
+
+  DEFAULT_RULES: [
+    { id: 'pause', action: 'PAUSE', priority: 'low', reason: 'Max open loops reached — don\'t overwhelm', conditions: [{ fact: 'open_loops', op: '>=', value: 3 }] },
+    { id: 'force-touch', action: 'FORCE_TOUCH', priority: 'critical', reason: 'Loop is dying — force contact today', conditions: [{ fact: 'days_since_touch', op: '>=', value: 7 }] },
+    { id: 'skip', action: 'SKIP', priority: 'low', reason: 'Spacing creates anticipation — wait', conditions: [{ fact: 'days_since_touch', op: '<=', value: 1 }] },
+    { id: 'plant-cue', action: 'PLANT_CUE', priority: 'high', reason: 'No open loops — plant a new seed', conditions: [{ fact: 'open_loops', op: '==', value: 0 }] },
+    { id: 'deliver-reward', action: 'DELIVER_REWARD', priority: 'high', reason: 'Anticipation peaked — deliver partial reward', conditions: [{ fact: 'anticipation_level', op: '>', value: 7 }] }
+  ],
+
+  _facts(ds, maxLoops = this.MAX_LOOPS) {
+    return {
+      days_since_touch: ds.days_since_touch || 0,
+      anticipation_level: ds.anticipation_level || 0,
+      open_loops: ds.open_loops || 0,
+      loops_free: maxLoops - (ds.open_loops || 0)
+    };
+  },
+
+  _compare(a, op, b) {
+    switch (op) {
+      case '>=': return a >= b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      case '<': return a < b;
+      case '==': return a === b;
+      default: return false;
     }
-    if (ds.anticipation_level > 7) {
-      actions.push({ action: 'DELIVER_REWARD', reason: 'Anticipation peaked — deliver partial reward', priority: 'high' });
+  },
+
+  matches(rule, desireState, maxLoops) {
+    const facts = this._facts(desireState, maxLoops);
+    return rule.enabled !== false && rule.conditions.length > 0 &&
+      rule.conditions.every(c => this._compare(facts[c.fact], c.op, c.value));
+  },
+
+  rulesFor(factoryType) {
+    const set = Store.getDesireRules();
+    return set.overrides[factoryType] || set.default;
+  },
+
+  // Day thresholds the calendar plans with, read from the SKIP and FORCE_TOUCH rules
+  spacing(rules) {
+    const days = (action, op) => rules
+      .find(r => r.enabled !== false && r.action === action)
+      ?.conditions.find(c => c.fact === 'days_since_touch' && c.op === op)?.value;
+    return {
+      skipDays: days('SKIP', '<=') ?? this.SKIP_DAYS,
+      forceDays: days('FORCE_TOUCH', '>=') ?? this.FORCE_TOUCH_DAYS
+    };
+  },
+
+  // Open loops allowed at once, read from the PAUSE rule (open_loops >= N)
+  maxLoops(rules) {
+    return rules
+      .find(r => r.enabled !== false && r.action === 'PAUSE')
+      ?.conditions.find(c => c.fact === 'open_loops' && c.op === '>=')?.value ?? this.MAX_LOOPS;
+  },
+
+  // "days_since_touch >= 7 and open_loops == 0" ⇄ [{ fact, op, value }, …]
+  formatConditions(conditions) {
+    return conditions.map(c => `${c.fact} ${c.op} ${c.value}`).join(' and ');
+  },
+
+  parseConditions(text) {
+    const parts = String(text || '').split(/\s+and\s+|\s*&&\s*/i).map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0) return { error: 'A rule needs at least one condition' };
+    const conditions = [];
+    for (const part of parts) {
+      const m = part.match(/^([a-z_]+)\s*(>=|<=|==|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+      if (!m) return { error: `Cannot read "${part}" — use e.g. days_since_touch >= 7` };
+      if (!this.FACTS.includes(m[1])) return { error: `Unknown fact "${m[1]}" — use ${this.FACTS.join(', ')}` };
+      conditions.push({ fact: m[1], op: m[2], value: parseFloat(m[3]) });
     }
+    return { conditions };
+  },
+
+  // Deployment-aware entry point: live desire state against its factory type's rules
+  actionsFor(d, now = new Date()) {
+    return this.getNextAction(this.current(d, now), this.rulesFor(d.factory?.type));
+  },
+
+  getNextAction(desireState, rules = this.DEFAULT_RULES) {
+    const ds = desireState;
+    const maxLoops = this.maxLoops(rules);
+    const actions = rules
+      .filter(rule => this.matches(rule, ds, maxLoops))
+      .map(rule => ({ action: rule.action, reason: rule.reason, priority: rule.priority, rule: rule.id }));
 
     if (actions.length === 0) {
       actions.push({ action: 'MAINTAIN', reason: 'Desire state is healthy — nurture current loops', priority: 'medium' });
@@ -233,6 +1231,18 @@ const DesireEngine = {
     });
   },
 
+  // Applies a logged touch to the desire state; returns the new stage if it moved
+  applyTouch(desireState, touch) {
+    const ds = desireState;
+    const reaction = this.REACTIONS[touch.reaction] || this.REACTIONS.neutral;
+    if (reaction.closesLoop && ds.open_loops > 0) ds.open_loops--;
+    // A backdated touch must not rewind the decay clock
+    const at = ds.anticipation_at > touch.at ? ds.anticipation_at : touch.at;
+    this.setAnticipation(ds, this.anticipation(ds, at) + reaction.anticipation, at);
+    if (touch.contentType === ds.content_rotation) this.rotateContent(ds);
+    return reaction.advance ? this.advanceStage(ds) : null;
+  },
+
   advanceStage(desireState) {
     const idx = this.STAGES.indexOf(desireState.stage);
     const next = this.STAGES[(idx + 1) % this.STAGES.length];
@@ -252,7 +1262,18 @@ const DesireEngine = {
 // ===========================
 const SeedEngine = {
   TYPES: ['hypothesis', 'experiment', 'probe', 'idea'],
-  QUALITY_INCREMENT: 0.056, // approaches 0.98 over ~11 harvests from 0.35
+
+  // Quality is scored from recorded evidence only, so the same history
+  // always gives the same curve. A seed reaches the 0.98 target only with
+  // every component maxed out.
+  SCORING: {
+    base: 0.35,
+    perInsight: 0.05, maxInsights: 4,  // up to 0.20
+    validated: 0.15,                   // insights confirmed in the field
+    speed: 0.10, fastDays: 14, slowDays: 90, // full within 2 weeks, none after 90 days
+    perLesson: 0.06, maxLessons: 3,    // up to 0.18
+    target: 0.98
+  },
 
   plant(deploymentId, type = 'hypothesis') {
     return {
@@ -266,98 +1287,484 @@ const SeedEngine = {
     };
   },
 
-  harvest(seed) {
-    seed.status = 'harvested';
-    seed.harvestedAt = new Date().toISOString();
-    seed.quality = Math.min(0.98, seed.quality + this.QUALITY_INCREMENT + Math.random() * 0.06);
-    return seed;
+  harvest(seed, insights = []) {
+    seed.status = 'harvested';
+    seed.harvestedAt = new Date().toISOString();
+    seed.insights = [...(seed.insights || []), ...insights];
+    return seed;
+  },
+
+  // → { quality, parts: [{ label, value, detail }] } — lessons are the ones linked to this seed
+  score(seed, lessons = []) {
+    const w = this.SCORING;
+    const harvested = seed.status === 'harvested';
+    const insights = harvested ? Math.min((seed.insights || []).length, w.maxInsights) : 0;
+    const days = harvested ? Math.max(0, (new Date(seed.harvestedAt) - new Date(seed.plantedAt)) / 86400000) : null;
+    const speed = days === null ? 0 : w.speed * Math.min(1, Math.max(0, (w.slowDays - days) / (w.slowDays - w.fastDays)));
+    const linked = Math.min(lessons.length, w.maxLessons);
+
+    const parts = [
+      { label: 'Base', value: w.base, detail: 'every planted seed' },
+      { label: 'Insights', value: insights * w.perInsight, detail: `${insights} × ${w.perInsight}` },
+      { label: 'Validated', value: harvested && seed.validated ? w.validated : 0, detail: seed.validated ? 'yes' : 'no' },
+      { label: 'Speed', value: speed, detail: days === null ? 'not harvested' : `${Math.round(days)} days to harvest` },
+      { label: 'Lessons', value: linked * w.perLesson, detail: `${linked} × ${w.perLesson}` }
+    ];
+    const total = parts.reduce((sum, p) => sum + p.value, 0);
+    return { quality: Math.round(Math.min(w.target, total) * 1000) / 1000, parts };
+  },
+
+  formula() {
+    const w = this.SCORING;
+    return `quality = ${w.base} base + ${w.perInsight} × insights (max ${w.maxInsights}) + ${w.validated} if validated` +
+      ` + up to ${w.speed} for speed (full ≤ ${w.fastDays} days, none ≥ ${w.slowDays})` +
+      ` + ${w.perLesson} × linked lessons (max ${w.maxLessons}), capped at ${w.target}`;
+  },
+
+  avgQuality(seeds) {
+    if (seeds.length === 0) return 0;
+    return seeds.reduce((sum, s) => sum + s.quality, 0) / seeds.length;
+  },
+
+  // Every seed in the order its quality became known: harvest time for
+  // harvested seeds, planting time for those still in the ground
+  qualityCurve(seeds, deployments = []) {
+    const at = s => new Date(s.harvestedAt || s.plantedAt).getTime();
+    return [...seeds]
+      .sort((a, b) => at(a) - at(b))
+      .map((s, i) => ({
+        index: i + 1,
+        id: s.id,
+        quality: s.quality,
+        harvested: s.status === 'harvested',
+        factory: deployments.find(d => d.id === s.deploymentId)?.factory?.name || s.deploymentId
+      }));
+  }
+};
+
+// ===========================
+// Deployment Principles (Tier 1 + Tier 2)
+// ===========================
+const Principles = {
+  tier1: [
+    { num: 'T1.1', text: 'Safety > Efficiency > Cost — always in this order', zh: '安全 > 效率 > 成本 — 永遠依此順序' },
+    { num: 'T1.2', text: 'Day 1: only observe, never intervene', zh: '第一天：只觀察，絕不介入' },
+    { num: 'T1.3', text: 'Workers must understand before they accept', zh: '工人必須先理解，才會接受' },
+    { num: 'T1.4', text: 'Start with the simplest work station, never the most complex', zh: '從最簡單的工站開始，絕不從最複雜的開始' },
+    { num: 'T1.5', text: 'Data collection starts Day 0, even if robots aren\'t online', zh: '資料收集從第 0 天開始，即使機器人尚未上線' }
+  ],
+
+  tier2: {
+    automotive: [
+      'What is the union\'s emotional temperature toward automation?',
+      'What is the cost of one hour of line stoppage?',
+      'Which stations have the highest worker turnover?'
+    ],
+    electronics: [
+      'How does ESD protection affect robot cabling?',
+      'What is the process changeover frequency?',
+      'How many product variants run on the same line?'
+    ],
+    logistics: [
+      'Is the pick path data already digitized?',
+      'What is the seasonal volume multiplier?',
+      'How many unique SKUs per shift?'
+    ],
+    food: [
+      'What are the hygiene regulations for robot materials?',
+      'What are the temperature and humidity extremes?',
+      'How often is deep cleaning required?'
+    ],
+    metalwork: [
+      'What are the dominant CNC operations (milling, turning, grinding)?',
+      'What is the defect rate on current human-operated stations?',
+      'How many qualified second-generation (G2) operators are available?'
+    ]
+  }
+};
+
+// ===========================
+// Onboarding Checklist (Tier 1 confirmed + Tier 2 answered)
+// ===========================
+// deployment.onboarding = { factoryType, tier1: [{ num, confirmedAt }],
+//   questions: [{ question, answer, answeredAt }] }. Deployments created
+// before the checklist existed have none and owe no tasks.
+const Onboarding = {
+  // confirmed: Tier 1 nums checked; answers: Tier 2 answers by question index
+  create(factoryType, { confirmed = [], answers = [] } = {}, at = new Date().toISOString()) {
+    return {
+      factoryType,
+      tier1: Principles.tier1.map(p => ({ num: p.num, confirmedAt: confirmed.includes(p.num) ? at : null })),
+      questions: (Principles.tier2[factoryType] || []).map((question, i) => {
+        const answer = String(answers[i] || '').trim();
+        return { question, answer, answeredAt: answer ? at : null };
+      })
+    };
+  },
+
+  missingTier1(confirmed) {
+    return Principles.tier1.filter(p => !confirmed.includes(p.num));
+  },
+
+  // → [{ kind: 'tier1', num, text } | { kind: 'question', index, text }]
+  openTasks(d) {
+    const o = d.onboarding;
+    if (!o) return [];
+    return [
+      ...(o.tier1 || []).filter(t => !t.confirmedAt).map(t => ({
+        kind: 'tier1',
+        num: t.num,
+        text: Principles.tier1.find(p => p.num === t.num)?.text || t.num
+      })),
+      ...(o.questions || [])
+        .map((q, index) => ({ kind: 'question', index, text: q.question, answer: q.answer }))
+        .filter(q => !q.answer)
+        .map(({ kind, index, text }) => ({ kind, index, text }))
+    ];
+  }
+};
+
+// ===========================
+// Lessons
+// ===========================
+const Lessons = {
+  CATEGORIES: {
+    safety: { label: 'Safety', icon: '🦺' },
+    workers: { label: 'Workers', icon: '👷' },
+    process: { label: 'Process', icon: '⚙️' },
+    commercial: { label: 'Commercial', icon: '💰' },
+    technical: { label: 'Technical', icon: '🔧' }
+  },
+
+  // Lessons keep a snapshot of the factory type so they stay filterable
+  // after the deployment itself is edited or decommissioned
+  capture({ deploymentId, seedId, category, text, principle, verdict, tags }) {
+    const d = Store.getDeployments().find(x => x.id === deploymentId);
+    return Store.addLesson({
+      deploymentId: deploymentId || null,
+      seedId: seedId || null,
+      factoryType: d?.factory?.type || null,
+      factoryName: d?.factory?.name || null,
+      category,
+      text,
+      principle: principle || null,
+      verdict: principle ? verdict : null,
+      tags
+    });
+  },
+
+  // "ESD, night shift , esd" → ['esd', 'night shift']
+  parseTags(input) {
+    return [...new Set(String(input || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+  },
+
+  tags(lessons) {
+    return [...new Set(lessons.flatMap(l => l.tags || []))].sort();
+  },
+
+  factoryTypes(lessons) {
+    return [...new Set(lessons.map(l => l.factoryType).filter(Boolean))].sort();
+  },
+
+  filter(lessons, { query = '', factoryType = '', tag = '' } = {}) {
+    const q = query.trim().toLowerCase();
+    return lessons.filter(l => {
+      if (factoryType && l.factoryType !== factoryType) return false;
+      if (tag && !(l.tags || []).includes(tag)) return false;
+      if (!q) return true;
+      return [l.text, l.factoryName, l.principle, ...(l.tags || [])]
+        .some(v => v && String(v).toLowerCase().includes(q));
+    });
+  }
+};
+
+// ===========================
+// Pitch Generator
+// ===========================
+const PitchGenerator = {
+  // Cost assumptions, house currency — editable on the PITCH panel.
+  // robotPrice: purchase price per robot; financingShare: part of it MECHA-OS
+  // carries and recovers from its cut; workerSalary: monthly cost of the
+  // worker a robot replaces, the boss's ROI baseline
+  DEFAULT_COSTS: { robotPrice: 150000, financingShare: 0.3, workerSalary: 3000 },
+
+  // Deltas applied to the base case — utilisation never goes above 100%
+  SCENARIOS: {
+    worst: { rate: -0.15, utilisation: -0.15, label: 'Worst' },
+    base: { rate: 0, utilisation: 0, label: 'Base' },
+    best: { rate: 0.1, utilisation: 0.1, label: 'Best' }
+  },
+  SENSITIVITY_STEPS: [-0.2, -0.1, 0, 0.1, 0.2],
+  ROBOT_STEPS: [-2, 0, 2, 5],
+
+  // Shown only while there is no comparable deployment to learn from
+  PLAYBOOK: [
+    { week: 1, event: 'First robot earns — boss sees money', zh: '第一台機器人開始賺錢 — 老闆看到收入' },
+    { week: 2, event: 'Efficiency insight revealed — "Welding station up 18%"', zh: '效率洞察揭曉 —「焊接工站提升 18%」' },
+    { week: 4, event: 'Unexpected insight — "Packaging line has bigger opportunity"', zh: '意外洞察 —「包裝線的機會更大」' },
+    { week: 8, event: 'Boss calls — "Can you do 5 more?"', zh: '老闆來電 —「可以再多 5 台嗎？」' },
+    { week: 12, event: 'Full ROI report — "Not just labor, the whole quality chain"', zh: '完整 ROI 報告 —「不只是人力，而是整條品質鏈」' },
+    { week: 24, event: 'Boss can\'t imagine operating without MECHA-OS', zh: '老闆已無法想像沒有 MECHA-OS 的營運' }
+  ],
+
+  _station(d) {
+    return String(d.robots?.workStation || '').trim().toLowerCase();
+  },
+
+  // Same factory type and work station; failing that, same factory type.
+  // → { match: 'station' | 'type' | 'none', deployments }
+  comparables(deployments, factoryType, workStation) {
+    const sameType = deployments.filter(d => d.factory?.type === factoryType);
+    const station = String(workStation || '').trim().toLowerCase();
+    const sameStation = sameType.filter(d => this._station(d) === station);
+    if (sameStation.length) return { match: 'station', deployments: sameStation };
+    if (sameType.length) return { match: 'type', deployments: sameType };
+    return { match: 'none', deployments: [] };
+  },
+
+  // Earliest of the logged EARNING transition and the first worked ledger day
+  daysToRevenue(d) {
+    const start = Uptime._day(d.createdAt);
+    const earning = StateMachine.lifecycleOf(d).history.find(h => h.to === 'EARNING');
+    const days = [
+      earning ? Uptime._day(earning.at) : NaN,
+      ...(d.ledger || []).filter(e => e.kind === 'worked').map(e => Uptime._day(e.from))
+    ].filter(Number.isFinite);
+    return days.length ? Math.max(0, Math.min(...days) - start) : null;
+  },
+
+  // What one comparable factory actually delivered, money in house currency
+  evidence(d) {
+    const e = Earnings.forDeployment(d);
+    const harvested = Store.getSeeds(d.id).filter(s => s.status === 'harvested');
+    const fx = amount => Currency.convert(amount, e.currency, Earnings.CURRENCY);
+    return {
+      id: d.id,
+      factory: d.factory?.name || d.id,
+      workStation: d.robots?.workStation || '',
+      robots: d.robots?.count || 0,
+      status: d.status || 'active',
+      contractDays: e.uptime.contractDays,
+      robotDays: e.uptime.robotDays,
+      utilisation: e.uptime.utilisation,
+      gross: Math.round(fx(e.gross)),
+      perRobotDay: e.uptime.robotDays ? fx(e.gross) / e.uptime.robotDays : 0,
+      daysToRevenue: this.daysToRevenue(d),
+      seedQuality: harvested.length ? SeedEngine.avgQuality(harvested) : null,
+      seeds: harvested.length
+    };
+  },
+
+  // Dated milestones at one factory, in days since it was deployed
+  _milestones(d) {
+    const start = new Date(d.createdAt).getTime();
+    const dayOf = iso => Math.max(0, Math.round((new Date(iso).getTime() - start) / 86400000));
+    const found = [];
+
+    const revenue = this.daysToRevenue(d);
+    if (revenue !== null) found.push({ key: 'revenue', day: revenue, event: 'First revenue — robots start earning', zh: '首筆營收 — 機器人開始賺錢' });
+
+    const firstHarvest = Store.getSeeds(d.id)
+      .filter(s => s.status === 'harvested' && s.harvestedAt)
+      .sort((a, b) => a.harvestedAt.localeCompare(b.harvestedAt))[0];
+    if (firstHarvest) {
+      const insight = (firstHarvest.insights || [])[0];
+      found.push({
+        key: 'insight',
+        day: dayOf(firstHarvest.harvestedAt),
+        event: insight ? `First insight harvested — "${insight}"` : 'First insight harvested',
+        zh: insight ? `收成第一個洞察 —「${insight}」` : '收成第一個洞察'
+      });
+    }
+
+    (d.touches || []).filter(t => !t.inferred).forEach(t => {
+      if (t.reaction === 'hooked') found.push({ key: 'hooked', day: dayOf(t.at), event: 'Boss hooked — asks what comes next', zh: '老闆上鉤 — 主動詢問下一步' });
+      if (t.advancedTo) {
+        const stage = DesireEngine.STAGE_INFO[t.advancedTo]?.label || t.advancedTo;
+        found.push({ key: `stage:${t.advancedTo}`, day: dayOf(t.at), event: `Boss reaches ${stage}`, zh: `老闆進入「${stage}」階段` });
+      }
+    });
+
+    const initial = (d.fleetChanges || [])[0]?.count;
+    const growth = (d.fleetChanges || []).find(c => c.count > initial);
+    if (growth) {
+      found.push({
+        key: 'expansion',
+        day: dayOf(growth.at),
+        event: `Boss expands the fleet — ${initial} → ${growth.count} robots`,
+        zh: `老闆擴充機隊 — ${initial} → ${growth.count} 台`
+      });
+    }
+
+    StateMachine.lifecycleOf(d).history
+      .filter(h => !h.inferred && (h.to === 'ENGAGING' || h.to === 'COMPOUNDING'))
+      .forEach(h => found.push({
+        key: `state:${h.to}`,
+        day: dayOf(h.at),
+        event: h.to === 'ENGAGING' ? 'Engagement loop running with the boss' : 'Compounding — lessons feed the next factory',
+        zh: h.to === 'ENGAGING' ? '與老闆的互動循環啟動' : '複利階段 — 經驗回饋下一座工廠'
+      }));
+
+    // Only the first occurrence of each milestone counts
+    return found
+      .sort((a, b) => a.day - b.day)
+      .filter((m, i, all) => all.findIndex(x => x.key === m.key) === i);
+  },
+
+  // Each milestone at its median day across the comparables that reached it
+  timeline(deployments) {
+    const byKey = {};
+    deployments.forEach(d => this._milestones(d).forEach(m => {
+      (byKey[m.key] ||= []).push({ ...m, factory: d.factory?.name || d.id });
+    }));
+    return Object.values(byKey).map(hits => {
+      const days = hits.map(h => h.day).sort((a, b) => a - b);
+      const median = days[Math.floor((days.length - 1) / 2)];
+      const first = hits.sort((a, b) => a.day - b.day)[0];
+      return {
+        week: Math.max(1, Math.ceil((median + 1) / 7)),
+        day: median,
+        event: first.event,
+        zh: first.zh,
+        seen: hits.length,
+        of: deployments.length,
+        range: [days[0], days[days.length - 1]],
+        factories: hits.map(h => h.factory)
+      };
+    }).sort((a, b) => a.day - b.day);
+  },
+
+  costs(overrides = {}) {
+    const costs = { ...this.DEFAULT_COSTS };
+    Object.keys(costs).forEach(key => {
+      const value = Number(overrides[key]);
+      if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value >= 0) costs[key] = value;
+    });
+    costs.financingShare = Math.min(1, costs.financingShare);
+    return costs;
+  },
+
+  // One projection from explicit inputs — the base case, each scenario and
+  // every sensitivity cell go through here.
+  // perRobotDay: gross per robot-day worked; utilisation: share of contracted
+  // robot-days worked; cut: MECHA-OS share of gross
+  project({ robotCount, perRobotDay, utilisation, cut, costs, targetDays = 365 }) {
+    const gross = Math.round(robotCount * targetDays * utilisation * perRobotDay);
+    const mechaOsCut = Math.round(gross * cut);
+    const bossTake = gross - mechaOsCut;
+    const financed = robotCount * costs.robotPrice * costs.financingShare;
+    const cutPerDay = mechaOsCut / targetDays;
+    const labour = robotCount * costs.workerSalary * 12;
+    return {
+      robotCount,
+      perRobotDay,
+      utilisation,
+      gross,
+      bossTake,
+      mechaOsCut,
+      monthlyBossIncome: Math.round(bossTake / 12),
+      roiPercent: labour ? Math.round((bossTake / labour) * 100) : null,
+      financed: Math.round(financed),
+      // Days of MECHA-OS cut that pay back the financed share; null if never
+      breakevenDays: financed === 0 ? 0 : cutPerDay > 0 ? Math.ceil(financed / cutPerDay) : null
+    };
+  },
+
+  _inputs(pitch, { rate = 0, utilisation = 0, robots = 0 } = {}) {
+    return {
+      robotCount: Math.max(1, pitch.robotCount + robots),
+      perRobotDay: Math.round(pitch.basis.perRobotDay * (1 + rate) * 100) / 100,
+      utilisation: Math.max(0, Math.min(1, pitch.basis.yieldShare * (1 + utilisation))),
+      cut: pitch.basis.cut,
+      costs: pitch.costs,
+      targetDays: pitch.targetDays
+    };
   },
 
-  avgQuality(deployments) {
-    const seeds = deployments.map(d => d.seed).filter(s => s);
-    if (seeds.length === 0) return 0;
-    return seeds.reduce((sum, s) => sum + s.quality, 0) / seeds.length;
+  // → [{ key, label, rate, utilisation, ...projection }] worst → best
+  scenarios(pitch) {
+    return Object.entries(this.SCENARIOS).map(([key, s]) => ({
+      key,
+      label: s.label,
+      rate: s.rate,
+      utilisationDelta: s.utilisation,
+      ...this.project(this._inputs(pitch, s))
+    }));
   },
 
-  qualityCurve(deployments) {
-    return deployments
-      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-      .map((d, i) => ({
-        index: i + 1,
-        quality: d.seed?.quality || 0.35,
-        factory: d.factory?.name || `Deploy #${i + 1}`
-      }));
-  }
-};
-
-// ===========================
-// Deployment Principles (Tier 1 + Tier 2)
-// ===========================
-const Principles = {
-  tier1: [
-    { num: 'T1.1', text: 'Safety > Efficiency > Cost — always in this order' },
-    { num: 'T1.2', text: 'Day 1: only observe, never intervene' },
-    { num: 'T1.3', text: 'Workers must understand before they accept' },
-    { num: 'T1.4', text: 'Start with the simplest work station, never the most complex' },
-    { num: 'T1.5', text: 'Data collection starts Day 0, even if robots aren\'t online' }
-  ],
-
-  tier2: {
-    automotive: [
-      'What is the union\'s emotional temperature toward automation?',
-      'What is the cost of one hour of line stoppage?',
-      'Which stations have the highest worker turnover?'
-    ],
-    electronics: [
-      'How does ESD protection affect robot cabling?',
-      'What is the process changeover frequency?',
-      'How many product variants run on the same line?'
-    ],
-    logistics: [
-      'Is the pick path data already digitized?',
-      'What is the seasonal volume multiplier?',
-      'How many unique SKUs per shift?'
-    ],
-    food: [
-      'What are the hygiene regulations for robot materials?',
-      'What are the temperature and humidity extremes?',
-      'How often is deep cleaning required?'
-    ],
-    metalwork: [
-      'What are the dominant CNC operations (milling, turning, grinding)?',
-      'What is the defect rate on current human-operated stations?',
-      'How many qualified second-generation (G2) operators are available?'
-    ]
-  }
-};
+  // One table per variable; each row moves that variable alone. Steps that
+  // hit a limit (utilisation past 100%, fewer than one robot) are dropped.
+  // → [{ variable, label, rows: [{ delta, value, ...projection }] }]
+  sensitivity(pitch) {
+    const table = (variable, label, steps, format) => {
+      const rows = steps.map(delta => {
+        const projection = this.project(this._inputs(pitch, { [variable]: delta }));
+        return { delta, value: format(projection), ...projection };
+      });
+      return {
+        variable,
+        label,
+        rows: rows.filter(r => r.delta === 0 || !rows.some(o => o.value === r.value && Math.abs(o.delta) < Math.abs(r.delta)))
+      };
+    };
+    return [
+      table('rate', 'Daily rate', this.SENSITIVITY_STEPS, p => p.perRobotDay),
+      table('utilisation', 'Utilisation', this.SENSITIVITY_STEPS, p => p.utilisation),
+      table('robots', 'Robot count', this.ROBOT_STEPS, p => p.robotCount)
+    ];
+  },
 
-// ===========================
-// Pitch Generator
-// ===========================
-const PitchGenerator = {
-  generate(factory, robotCount, workStation, targetDays = 365) {
-    const earnings = Earnings.calculate(robotCount, targetDays);
-    const monthlyBossIncome = Math.round(earnings.bossTake / 12);
-    const breakeven = Math.ceil((robotCount * 150000 * 0.3) / (robotCount * Earnings.DAILY_RATE * Earnings.MECHA_CUT / 30));
+  generate(factory, robotCount, workStation, targetDays = 365, revenue, { factoryType = 'metalwork', deployments = [], costs } = {}) {
+    const terms = Earnings.terms(revenue);
+    const assumptions = this.costs(costs);
+    const { match, deployments: comparable } = this.comparables(deployments, factoryType, workStation);
+    const evidence = comparable.map(d => this.evidence(d));
+
+    // Comparables set the yield: gross per robot-day actually worked, and the
+    // share of contracted robot-days that were worked
+    const worked = evidence.filter(e => e.robotDays > 0);
+    let basis;
+    if (worked.length) {
+      const robotDays = worked.reduce((sum, e) => sum + e.robotDays, 0);
+      const perRobotDay = worked.reduce((sum, e) => sum + e.gross, 0) / robotDays;
+      const contracted = worked.reduce((sum, e) => sum + e.robots * e.contractDays, 0);
+      const yieldShare = contracted ? Math.min(1, robotDays / contracted) : 1;
+      basis = { source: 'comparables', perRobotDay, yieldShare, cut: terms.mechaOsCut };
+    } else {
+      // Tiers and minimums don't scale per robot-day — house terms use the effective rate
+      const calc = Earnings.calculate(robotCount, targetDays, revenue);
+      basis = { source: 'house', perRobotDay: calc.gross / (robotCount * targetDays), yieldShare: 1, cut: calc.gross ? calc.mechaOsCut / calc.gross : terms.mechaOsCut };
+    }
+    const earnings = this.project({ robotCount, perRobotDay: basis.perRobotDay, utilisation: basis.yieldShare, cut: basis.cut, costs: assumptions, targetDays });
+    const qualities = evidence.filter(e => e.seedQuality !== null);
+    const timeline = this.timeline(comparable);
+    const revenueDays = evidence.map(e => e.daysToRevenue).filter(n => n !== null).sort((a, b) => a - b);
 
     return {
       factory,
+      factoryType,
       robotCount,
       workStation,
+      targetDays,
+      currency: Earnings.CURRENCY,
+      costs: assumptions,
       yearlyGross: earnings.gross,
       yearlyBossTake: earnings.bossTake,
       yearlyMechaOsCut: earnings.mechaOsCut,
-      monthlyBossIncome,
-      roiPercent: Math.round((earnings.bossTake / (robotCount * 3000 * 12)) * 100),
-      projectedSeedQuality: Math.min(0.98, 0.35 + (robotCount * 0.04)),
-      desireTimeline: [
-        { week: 1, event: 'First robot earns — boss sees money' },
-        { week: 2, event: 'Efficiency insight revealed — "Welding station up 18%"' },
-        { week: 4, event: 'Unexpected insight — "Packaging line has bigger opportunity"' },
-        { week: 8, event: 'Boss calls — "Can you do 5 more?"' },
-        { week: 12, event: 'Full ROI report — "Not just labor, the whole quality chain"' },
-        { week: 24, event: 'Boss can\'t imagine operating without MECHA-OS' }
-      ]
+      monthlyBossIncome: earnings.monthlyBossIncome,
+      roiPercent: earnings.roiPercent,
+      financed: earnings.financed,
+      breakevenDays: earnings.breakevenDays,
+      projectedSeedQuality: qualities.length
+        ? qualities.reduce((sum, e) => sum + e.seedQuality, 0) / qualities.length
+        : Math.min(0.98, 0.35 + (robotCount * 0.04)),
+      seedQualityBasis: qualities.length ? 'comparables' : 'estimate',
+      daysToRevenue: revenueDays.length ? revenueDays[Math.floor((revenueDays.length - 1) / 2)] : null,
+      basis,
+      match,
+      comparables: evidence,
+      desireTimeline: timeline.length ? timeline : this.PLAYBOOK,
+      timelineSource: timeline.length ? 'comparables' : 'playbook'
     };
   }
 };
@@ -368,16 +1775,33 @@ const PitchGenerator = {
 const UI = {
   currentTab: 'deploy',
   wizardStep: 0,
+  wonProposalId: null, // won proposal the wizard is deploying
+  calendarWeek: 0, // offset from the current week
+  rulesScope: '',   // '' = default rule set, otherwise a factory type
+  rulesDraft: null, // rules being edited, previewed before they are saved
 
   async init() {
+    await Store.init();
     this.bindTabs();
     this.bindWizard();
+    this.bindLedger();
+    this.bindRegistry();
+    this.bindTouches();
+    this.bindCalendar();
+    this.bindRules();
+    this.bindSeeds();
+    this.bindLessons();
+    this.bindInvoices();
+    this.bindCurrency();
+    this.bindBackup();
+    this.bindSync();
 
     // Load seed data if localStorage is empty
     const seeded = await Store.loadSeedData();
     if (seeded) {
       console.log('📦 Loaded seed deployment data');
     }
+    Store.refreshDesire();
 
     // Load email bridge
     if (typeof EmailBridge !== 'undefined') {
@@ -385,9 +1809,18 @@ const UI = {
       console.log('📧 Email bridge loaded', EmailBridge.getStats());
     }
 
+    this.renderStoreError();
     this.render();
     Bus.on('deployment:added', () => this.render());
     Bus.on('deployment:updated', () => this.render());
+    Bus.on('lesson:added', () => this.renderCompound());
+    Bus.on('seed:planted', () => this.renderCompound());
+    Bus.on('seed:harvested', () => this.renderCompound());
+    Bus.on('seed:validated', () => this.renderCompound());
+    Bus.on('data:restored', () => this.render());
+    Bus.on('currency:changed', () => this.render());
+    Bus.on('proposal:saved', () => this.renderPipeline());
+    Bus.on('proposal:updated', () => this.renderPipeline());
     Bus.on('data:saved', () => this.updateHeaderStats());
 
     // Load demo data if empty
@@ -397,6 +1830,13 @@ const UI = {
     }
   },
 
+  renderStoreError() {
+    const banner = document.getElementById('store-error');
+    if (!banner) return;
+    banner.style.display = Store.loadError ? 'block' : 'none';
+    banner.textContent = Store.loadError ? `⛔ ${Store.loadError}` : '';
+  },
+
   // --- Tabs ---
   bindTabs() {
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -407,6 +1847,8 @@ const UI = {
   },
 
   showTab(tab) {
+    // Leaving DEPLOY abandons the wizard run for a won proposal
+    if (tab !== 'deploy') this.wonProposalId = null;
     this.currentTab = tab;
     document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
     document.querySelectorAll('.panel').forEach(p => p.classList.toggle('active', p.id === `panel-${tab}`));
@@ -418,6 +1860,82 @@ const UI = {
     document.getElementById('wizard-next')?.addEventListener('click', () => this.wizardNext());
     document.getElementById('wizard-prev')?.addEventListener('click', () => this.wizardPrev());
     document.getElementById('wizard-submit')?.addEventListener('click', () => this.wizardSubmit());
+    const currency = document.getElementById('r-currency');
+    if (currency) currency.innerHTML = this.currencyOptions(Currency.display());
+    ['r-count', 'r-daily', 'r-cut', 'r-tiers', 'r-min-monthly', 'r-currency'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.renderRevenuePreview());
+    });
+    document.getElementById('f-type')?.addEventListener('change', () => this.renderIndustryStep());
+    this.renderIndustryStep();
+  },
+
+  // Wizard industry step: Tier 1 confirmations and the Tier 2 questions for
+  // the factory type picked in step 1. Changing the type starts it over.
+  renderIndustryStep() {
+    const el = document.getElementById('wizard-industry');
+    if (!el) return;
+    const type = document.getElementById('f-type')?.value || 'metalwork';
+    const questions = Principles.tier2[type] || [];
+    el.innerHTML = `
+      <div class="form-group">
+        <label class="form-label">Tier 1 — confirm every principle before deploying</label>
+        ${Principles.tier1.map(p => `
+          <label class="principle-item" style="display:flex;gap:10px;align-items:flex-start;cursor:pointer;margin-bottom:6px">
+            <input type="checkbox" data-tier1="${p.num}">
+            <span><span class="principle-num">${p.num}</span>${p.text}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="form-group">
+        <label class="form-label">Tier 2 — ${type} questions (unanswered ones become open tasks)</label>
+        ${questions.map((q, i) => `
+          <div style="margin-bottom:10px">
+            <div style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:4px">💭 ${q}</div>
+            <input class="form-input" data-question="${i}" type="text" placeholder="Answer, or leave open">
+          </div>
+        `).join('') || '<div style="font-size:0.85rem;color:var(--text-muted)">No questions for this factory type yet.</div>'}
+      </div>
+    `;
+  },
+
+  readOnboardingForm() {
+    const el = document.getElementById('wizard-industry');
+    return {
+      confirmed: [...(el?.querySelectorAll('[data-tier1]') || [])].filter(c => c.checked).map(c => c.dataset.tier1),
+      answers: [...(el?.querySelectorAll('[data-question]') || [])].map(input => input.value)
+    };
+  },
+
+  currencyOptions(selected) {
+    return Object.entries(Currency.CODES)
+      .map(([code, c]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${c.prefix.trim()} · ${code} — ${c.label}</option>`)
+      .join('');
+  },
+
+  readRevenueForm() {
+    const cutPercent = parseFloat(document.getElementById('r-cut')?.value);
+    return {
+      currency: document.getElementById('r-currency')?.value || Earnings.CURRENCY,
+      dailyRate: parseInt(document.getElementById('r-daily')?.value) || Earnings.DAILY_RATE,
+      mechaOsCut: cutPercent >= 0 && cutPercent <= 100 ? cutPercent / 100 : Earnings.MECHA_CUT,
+      tiers: Earnings.parseTiers(document.getElementById('r-tiers')?.value),
+      minMonthly: parseInt(document.getElementById('r-min-monthly')?.value) || 0
+    };
+  },
+
+  // Revenue step tiles: one day of gross for the contract terms being entered
+  renderRevenuePreview() {
+    const robots = parseInt(document.getElementById('r-count')?.value) || 0;
+    const e = Earnings.calculate(robots, 1, this.readRevenueForm());
+    const cut = Math.round(e.cut * 100);
+    const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+    const money = amount => Currency.format(amount, e.currency);
+    set('r-preview-gross-label', `Daily Gross (${robots} robots @ ${money(e.dailyRate)})`);
+    set('r-preview-gross', money(e.gross));
+    set('r-preview-boss-label', `Boss Takes (${100 - cut}%)`);
+    set('r-preview-boss', money(e.bossTake));
+    set('r-preview-mecha-label', `MECHA-OS (${cut}%)`);
+    set('r-preview-mecha', money(e.mechaOsCut));
   },
 
   wizardNext() {
@@ -435,27 +1953,71 @@ const UI = {
     }
   },
 
+  wizardGoto(stepId) {
+    const steps = [...document.querySelectorAll('#deploy-wizard .wizard-step')];
+    const index = steps.findIndex(s => s.id === stepId);
+    if (index === -1) return;
+    this.wizardStep = index;
+    this.renderWizard();
+  },
+
   wizardSubmit() {
-    const factory = {
-      name: document.getElementById('f-name')?.value || 'Unnamed Factory',
-      type: document.getElementById('f-type')?.value || 'metalwork',
-      location: document.getElementById('f-location')?.value || 'Taiwan',
-      workers: parseInt(document.getElementById('f-workers')?.value) || 50
-    };
-    const robots = {
-      count: parseInt(document.getElementById('r-count')?.value) || 5,
-      model: document.getElementById('r-model')?.value || 'Unitree G1',
-      workStation: document.getElementById('r-station')?.value || 'Welding'
-    };
-    const revenue = {
-      dailyRate: parseInt(document.getElementById('r-daily')?.value) || 200,
-      mechaOsCut: 0.30
-    };
+    const proposalId = this.wonProposalId; // cleared when the wizard resets
+    const form = this.readOnboardingForm();
+    const type = document.getElementById('f-type')?.value;
+    const deployment = this.submitDeployment({
+      factory: {
+        name: document.getElementById('f-name')?.value,
+        type,
+        location: document.getElementById('f-location')?.value,
+        workers: parseInt(document.getElementById('f-workers')?.value)
+      },
+      robots: {
+        count: parseInt(document.getElementById('r-count')?.value),
+        model: document.getElementById('r-model')?.value,
+        workStation: document.getElementById('r-station')?.value
+      },
+      revenue: this.readRevenueForm(),
+      onboarding: Onboarding.create(type || 'metalwork', form)
+    });
+    if (!deployment) return;
+    if (proposalId) Store.setProposalStatus(proposalId, 'won', deployment.id);
+    this.renderIndustryStep();
+  },
 
-    Store.addDeployment({ factory, robots, revenue });
+  // Every deployment is created here; blank fields get the wizard defaults
+  // and house contract terms. Refused (null) until every Tier 1 principle is
+  // confirmed — the wizard's industry step is where that happens.
+  submitDeployment({ factory = {}, robots = {}, revenue, onboarding }) {
+    const type = factory.type || 'metalwork';
+    const confirmed = (onboarding?.tier1 || []).filter(t => t.confirmedAt).map(t => t.num);
+    const missing = Onboarding.missingTier1(confirmed);
+    if (missing.length) {
+      Toast.warning(`Confirm Tier 1 before deploying: ${missing.map(p => p.num).join(', ')}`, '🦺');
+      this.showTab('deploy');
+      this.wizardGoto('wizard-step-industry');
+      return null;
+    }
+    const deployment = Store.addDeployment({
+      factory: {
+        name: factory.name || 'Unnamed Factory',
+        type,
+        location: factory.location || 'Taiwan',
+        workers: factory.workers || 50
+      },
+      robots: {
+        count: robots.count || 5,
+        model: robots.model || 'Unitree G1',
+        workStation: robots.workStation || 'Welding'
+      },
+      revenue: revenue || Earnings.terms(),
+      onboarding
+    });
     this.wizardStep = 0;
+    this.wonProposalId = null;
     this.renderWizard();
     this.showTab('earn');
+    return deployment;
   },
 
   renderWizard() {
@@ -486,7 +2048,7 @@ const UI = {
       case 'earn': this.renderEarn(); break;
       case 'engage': this.renderEngage(); break;
       case 'compound': this.renderCompound(); break;
-      case 'pitch': this.renderPitch(); break;
+      case 'pitch': this.renderPitch(); this.renderPipeline(); break;
     }
   },
 
@@ -495,6 +2057,7 @@ const UI = {
     const totals = Earnings.totalFromDeployments(deployments);
 
     const el = (id) => document.getElementById(id);
+    if (el('stat-revenue')) el('stat-revenue').dataset.prefix = Currency.prefix(totals.currency);
     this.animateValue(el('stat-revenue'), totals.mechaOsCut);
     this.animateValue(el('stat-robots'), totals.totalRobots);
     this.animateValue(el('stat-deploys'), deployments.length);
@@ -502,7 +2065,8 @@ const UI = {
     // Update deploy badge count
     const badge = document.getElementById('deploy-count-badge');
     if (badge) {
-      badge.textContent = `${deployments.length} ACTIVE`;
+      const active = deployments.filter(d => Store.isActive(d)).length;
+      badge.textContent = `${active} ACTIVE`;
       badge.className = deployments.length > 0 ? 'card-badge badge-green' : 'card-badge badge-green';
     }
   },
@@ -532,56 +2096,633 @@ const UI = {
     if (!list) return;
 
     const deployments = Store.getDeployments();
+    this.renderLedger(deployments);
+    this.renderRegistry(deployments);
     if (deployments.length === 0) {
       list.innerHTML = '';
       return;
     }
 
+    const statusBadge = { paused: 'badge-amber', decommissioned: 'badge-red' };
     list.innerHTML = deployments.map(d => {
-      const days = Earnings.daysSince(d.createdAt);
-      const e = Earnings.calculate(d.robots?.count || 0, days);
+      const e = Earnings.forDeployment(d);
+      const status = d.status || 'active';
       return `
-        <div class="deploy-item" data-id="${d.id}">
+        <div class="deploy-item" data-id="${d.id}" onclick="UI.openDeployment('${d.id}')" style="cursor:pointer${status === 'decommissioned' ? ';opacity:0.5' : ''}">
           <div class="deploy-icon">🤖</div>
           <div class="deploy-info">
-            <div class="deploy-name">${d.factory?.name || 'Factory'}</div>
-            <div class="deploy-meta">${d.robots?.count || 0} robots · ${d.factory?.type || 'N/A'} · ${days}d active</div>
+            <div class="deploy-name">${escapeHtml(d.factory?.name || 'Factory')}
+              <span class="card-badge badge-purple">${StateMachine.stateOf(d)}</span>
+              ${status !== 'active' ? `<span class="card-badge ${statusBadge[status]}">${status.toUpperCase()}</span>` : ''}
+              ${Store.openRisks(d).length ? `<span class="card-badge badge-red">⚠ ${Store.openRisks(d).length} RISK</span>` : ''}
+              ${Onboarding.openTasks(d).length ? `<span class="card-badge badge-amber">📋 ${Onboarding.openTasks(d).length} TASK${Onboarding.openTasks(d).length === 1 ? '' : 'S'}</span>` : ''}
+            </div>
+            <div class="deploy-meta">${d.robots?.count || 0} robots · ${escapeHtml(d.factory?.type || 'N/A')} · ${e.uptime.workedDays}d worked · ${Math.round(e.uptime.utilisation * 100)}% uptime</div>
+          </div>
+          <div class="deploy-earnings">${Currency.format(e.mechaOsCut, e.currency)}</div>
+        </div>
+      `;
+    }).join('');
+
+    this.renderDeploymentDetail();
+  },
+
+  // --- Deployment Detail ---
+  selectedDeployment: null,
+
+  openDeployment(id) {
+    this.selectedDeployment = id;
+    this.renderDeploymentDetail();
+    document.getElementById('deploy-detail')?.scrollIntoView({ behavior: 'smooth' });
+  },
+
+  closeDeployment() {
+    this.selectedDeployment = null;
+    this.renderDeploymentDetail();
+  },
+
+  renderDeploymentDetail() {
+    const card = document.getElementById('deploy-detail');
+    if (!card) return;
+    const d = Store.getDeployments().find(x => x.id === this.selectedDeployment);
+    if (!d) {
+      card.style.display = 'none';
+      return;
+    }
+
+    const status = d.status || 'active';
+    const locked = status === 'decommissioned' ? 'disabled' : '';
+    const field = (id, label, value, type = 'text') => `
+      <div class="form-group">
+        <label class="form-label" for="${id}">${label}</label>
+        <input class="form-input" id="${id}" type="${type}" value="${escapeHtml(value)}" ${locked}>
+      </div>`;
+    const select = (id, label, options, value) => `
+      <div class="form-group">
+        <label class="form-label" for="${id}">${label}</label>
+        <select class="form-select" id="${id}" ${locked}>
+          ${options.map(o => `<option value="${o}" ${o === value ? 'selected' : ''}>${o}</option>`).join('')}
+        </select>
+      </div>`;
+    const r = Earnings.terms(d.revenue);
+    const u = Uptime.summary(d);
+
+    card.style.display = 'block';
+    card.innerHTML = `
+      <div class="card-header">
+        <span class="card-title">${escapeHtml(d.factory?.name || 'Factory')} <span style="color:var(--text-muted);font-family:var(--font-mono);font-size:0.75rem">${d.id}</span></span>
+        <span class="card-badge badge-purple">${StateMachine.stateOf(d)}</span>
+      </div>
+      <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:12px">
+        Status: <strong style="color:var(--text-secondary)">${status.toUpperCase()}</strong>
+        · ${u.contractDays}d under contract · ${u.pausedDays}d paused
+        ${d.decommissionedAt ? ` · decommissioned ${d.decommissionedAt.slice(0, 10)}` : ''}
+      </div>
+      <div class="form-row">
+        ${field('dd-name', 'Factory Name', d.factory?.name)}
+        ${field('dd-location', 'Location', d.factory?.location)}
+      </div>
+      <div class="form-row">
+        ${select('dd-type', 'Factory Type', Object.keys(Principles.tier2), d.factory?.type)}
+        ${field('dd-workers', 'Current Workers', d.factory?.workers, 'number')}
+      </div>
+      <div class="form-row">
+        ${field('dd-robots', 'Number of Robots', d.robots?.count, 'number')}
+        ${field('dd-model', 'Robot Model', d.robots?.model)}
+      </div>
+      <div class="form-row">
+        ${field('dd-station', 'Work Station', d.robots?.workStation)}
+        ${field('dd-daily', `Daily Rate per Robot (${Currency.prefix(r.currency).trim()})`, r.dailyRate, 'number')}
+      </div>
+      <div class="form-row">
+        ${field('dd-cut', 'MECHA-OS Cut (%)', Math.round(r.mechaOsCut * 100), 'number')}
+        ${field('dd-min-monthly', `Minimum Monthly Guarantee (${Currency.prefix(r.currency).trim()})`, r.minMonthly, 'number')}
+      </div>
+      <div class="form-row">
+        ${field('dd-tiers', 'Volume Tiers (robots:rate)', r.tiers.map(t => `${t.minRobots}:${t.dailyRate}`).join(', '))}
+        <div class="form-group">
+          <label class="form-label" for="dd-currency">Contract Currency</label>
+          <select class="form-select" id="dd-currency" ${locked}>${this.currencyOptions(r.currency)}</select>
+        </div>
+      </div>
+      <div class="form-row">
+        ${field('dd-domains', 'Customer Email Domains', CustomerRegistry.customerOf(d).domains.join(', '))}
+        <div class="form-group">
+          <label class="form-label" for="dd-contacts">Contacts (name, email, role — one per line)</label>
+          <textarea class="form-input" id="dd-contacts" rows="3" ${locked}>${escapeHtml(CustomerRegistry.formatContacts(CustomerRegistry.customerOf(d).contacts))}</textarea>
+        </div>
+      </div>
+      ${this.renderLifecycle(d)}
+      ${this.renderOnboarding(d, locked)}
+      ${this.renderRisks(d)}
+      ${(d.fleetChanges || []).length > 1 ? `
+        <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:12px">Fleet history: ${d.fleetChanges.map(c => `${c.at.slice(0, 10)} → ${c.count}`).join(' · ')}</div>
+      ` : ''}
+      <div style="display:flex;gap:8px;flex-wrap:wrap">
+        ${status !== 'decommissioned' ? `<button class="btn btn-primary" onclick="UI.saveDeployment('${d.id}')">Save Changes</button>` : ''}
+        ${status === 'active' ? `<button class="btn btn-secondary" onclick="UI.setDeploymentStatus('${d.id}', 'paused')">Pause ⏸</button>` : ''}
+        ${status === 'paused' ? `<button class="btn btn-secondary" onclick="UI.setDeploymentStatus('${d.id}', 'active')">Resume ▶</button>` : ''}
+        ${status !== 'decommissioned' ? `<button class="btn btn-secondary" style="color:var(--red)" onclick="UI.setDeploymentStatus('${d.id}', 'decommissioned')">Decommission</button>` : ''}
+        <button class="btn btn-secondary" onclick="UI.closeDeployment()">Close</button>
+      </div>
+    `;
+  },
+
+  // --- Customer Registry ---
+  bindRegistry() {
+    document.getElementById('registry-export')?.addEventListener('click', () => {
+      const file = CustomerRegistry.download();
+      Toast.success(`Exported ${file.customers.length} customers — save as ${CustomerRegistry.FILE}`, '📇');
+    });
+  },
+
+  renderRegistry(deployments) {
+    const list = document.getElementById('registry-list');
+    if (!list) return;
+    const entries = CustomerRegistry.entries(deployments);
+    const clashes = CustomerRegistry.conflicts(deployments);
+    if (entries.length === 0) {
+      list.innerHTML = '<div style="font-size:0.8rem;color:var(--text-muted)">No customer domains yet — add them from a deployment\'s detail view.</div>';
+      return;
+    }
+    list.innerHTML = clashes.map(c => `
+      <div style="font-size:0.8rem;color:var(--amber);margin-bottom:6px">⚠ ${escapeHtml(c.domain)} is registered to ${c.deploymentIds.join(', ')} — mail goes to ${c.deploymentIds[0]}</div>
+    `).join('') + entries.map(e => `
+      <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.82rem;cursor:pointer" onclick="UI.openDeployment('${e.deploymentId}')">
+        <span style="min-width:140px;color:var(--text-primary)">${escapeHtml(e.factory)} <span style="color:var(--text-muted);font-family:var(--font-mono)">${e.deploymentId}</span></span>
+        <span style="flex:1;font-family:var(--font-mono);color:var(--cyan)">${e.domains.map(d => escapeHtml(d)).join(' · ') || '—'}</span>
+        <span style="color:var(--text-secondary)">${e.contacts.map(c => escapeHtml(c.name || c.email)).join(', ')}</span>
+      </div>
+    `).join('');
+  },
+
+  renderRisks(d) {
+    const risks = d.risks || [];
+    if (risks.length === 0) return '';
+    return `
+      <div style="margin-bottom:16px">
+        <div style="font-size:0.75rem;color:var(--text-muted);text-transform:uppercase;letter-spacing:0.08em;margin-bottom:6px">Risk Flags</div>
+        ${risks.slice().reverse().map(r => `
+          <div style="display:flex;gap:10px;padding:6px 0;border-bottom:1px solid var(--border);font-size:0.8rem;align-items:center;${r.resolvedAt ? 'opacity:0.5' : ''}">
+            <span style="color:${r.resolvedAt ? 'var(--text-muted)' : 'var(--red)'}">${r.resolvedAt ? '✓' : '⚠'}</span>
+            <span style="flex:1;color:var(--text-secondary)">
+              ${escapeHtml(r.note || r.subject)}
+              <span style="color:var(--text-muted)"> · ${escapeHtml(r.source || '')} · ${r.raisedAt.slice(0, 10)}${r.resolvedAt ? ` · resolved ${r.resolvedAt.slice(0, 10)}` : ''}</span>
+            </span>
+            ${r.resolvedAt ? '' : `<button class="btn btn-secondary" onclick="UI.resolveRisk('${d.id}', '${r.id}')">Resolve</button>`}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  renderOnboarding(d, locked) {
+    const o = d.onboarding;
+    if (!o) return '';
+    const tasks = Onboarding.openTasks(d);
+    return `
+      <div style="margin-bottom:16px">
+        <div style="font-size:0.75rem;color:var(--text-muted);text-transform:uppercase;letter-spacing:0.08em;margin-bottom:6px">
+          Onboarding — ${escapeHtml(o.factoryType)} · ${tasks.length ? `${tasks.length} open task${tasks.length === 1 ? '' : 's'}` : 'complete'}
+        </div>
+        ${tasks.filter(t => t.kind === 'tier1').map(t => `
+          <div style="display:flex;gap:10px;padding:6px 0;border-bottom:1px solid var(--border);font-size:0.8rem;align-items:center">
+            <span style="color:var(--red)">🦺</span>
+            <span style="flex:1;color:var(--text-secondary)"><span class="principle-num">${t.num}</span>${escapeHtml(t.text)}</span>
+            ${locked ? '' : `<button class="btn btn-secondary" onclick="UI.confirmTier1('${d.id}', '${t.num}')">Confirm</button>`}
           </div>
-          <div class="deploy-earnings">$${e.mechaOsCut.toLocaleString()}</div>
+        `).join('')}
+        ${(o.questions || []).map((q, i) => `
+          <div style="padding:6px 0;border-bottom:1px solid var(--border);font-size:0.8rem">
+            <div style="color:var(--text-secondary);margin-bottom:4px">${q.answer ? '✓' : '📋'} ${escapeHtml(q.question)}</div>
+            <div style="display:flex;gap:8px">
+              <input class="form-input" id="dd-answer-${i}" type="text" value="${escapeHtml(q.answer)}" placeholder="Open — answer when known" ${locked}>
+              ${locked ? '' : `<button class="btn btn-secondary" onclick="UI.answerQuestion('${d.id}', ${i})">Save</button>`}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  confirmTier1(deploymentId, num) {
+    Store.confirmTier1(deploymentId, num);
+    Toast.success(`${num} confirmed`, '🦺');
+  },
+
+  answerQuestion(deploymentId, index) {
+    Store.answerQuestion(deploymentId, index, document.getElementById(`dd-answer-${index}`)?.value);
+    Toast.success('Answer saved', '📋');
+  },
+
+  resolveRisk(deploymentId, riskId) {
+    Store.resolveRisk(deploymentId, riskId);
+    Toast.success('Risk resolved', '✓');
+  },
+
+  renderLifecycle(d) {
+    const lc = StateMachine.lifecycleOf(d);
+    const timeIn = StateMachine.timeIn(d);
+    const next = StateMachine.transitions[lc.state] || [];
+    const toEarning = StateMachine.daysBetween(d, 'DEPLOYING', 'EARNING');
+    const fmtDays = (ms) => `${(ms / 86400000).toFixed(1)}d`;
+
+    return `
+      <div style="margin:4px 0 16px;padding:12px 16px;background:var(--bg-glass);border:1px solid var(--border);border-radius:var(--radius-sm)">
+        <div style="font-size:0.75rem;color:var(--text-muted);text-transform:uppercase;letter-spacing:0.08em;margin-bottom:8px">Lifecycle</div>
+        <div style="display:flex;gap:6px;flex-wrap:wrap;margin-bottom:10px">
+          ${StateMachine.FLOW.map(state => `
+            <span class="card-badge ${state === lc.state ? 'badge-cyan' : timeIn[state] !== undefined ? 'badge-green' : ''}" title="${timeIn[state] !== undefined ? fmtDays(timeIn[state]) + ' in state' : 'not reached'}">${state}${timeIn[state] !== undefined ? ` · ${fmtDays(timeIn[state])}` : ''}</span>
+          `).join('')}
+        </div>
+        <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:10px">
+          DEPLOYING → EARNING: <span style="color:var(--amber);font-family:var(--font-mono)">${toEarning === null ? 'not yet' : `${toEarning} days`}</span>
         </div>
+        ${Store.isActive(d) && next.length ? `
+          <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center;margin-bottom:10px">
+            <input class="form-input" id="dd-transition-at" type="date" style="max-width:170px" title="Date of the transition (defaults to today)">
+            ${next.map(to => `<button class="btn btn-secondary" onclick="UI.transitionDeployment('${d.id}', '${to}')">→ ${to}</button>`).join('')}
+          </div>
+        ` : ''}
+        ${lc.history.slice().reverse().map(h => `
+          <div style="display:flex;gap:12px;padding:6px 0;border-bottom:1px solid var(--border);font-size:0.8rem">
+            <span style="font-family:var(--font-mono);color:var(--cyan);min-width:90px">${h.at.slice(0, 10)}</span>
+            <span style="color:var(--text-secondary)">${h.from} → ${h.to}${h.inferred ? ' <span style="color:var(--text-muted)">(inferred)</span>' : ''}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  transitionDeployment(id, to) {
+    const date = document.getElementById('dd-transition-at')?.value;
+    const today = new Date().toISOString().slice(0, 10);
+    if (date && date > today) {
+      Toast.warning('Transitions can\'t be dated in the future', '⚠️');
+      return;
+    }
+    const at = date && date !== today ? new Date(date).toISOString() : new Date().toISOString();
+    const result = Store.transitionDeployment(id, to, at);
+    if (!result.ok) {
+      Toast.warning(result.error, '⚠️');
+      return;
+    }
+    Toast.info(`${result.from} → ${result.to}`, '🔁');
+  },
+
+  saveDeployment(id) {
+    const val = (x) => document.getElementById(x)?.value;
+    const cutPercent = parseFloat(val('dd-cut'));
+    const robots = parseInt(val('dd-robots'));
+    if (!(robots >= 0)) {
+      Toast.warning('Robot count must be a number', '⚠️');
+      return;
+    }
+    Store.editDeployment(id, {
+      factory: {
+        name: val('dd-name') || 'Unnamed Factory',
+        location: val('dd-location') || '',
+        type: val('dd-type'),
+        workers: parseInt(val('dd-workers')) || 0
+      },
+      robots: { count: robots, model: val('dd-model'), workStation: val('dd-station') },
+      revenue: {
+        currency: val('dd-currency') || Earnings.CURRENCY,
+        dailyRate: parseInt(val('dd-daily')) || Earnings.DAILY_RATE,
+        mechaOsCut: cutPercent >= 0 && cutPercent <= 100 ? cutPercent / 100 : Earnings.MECHA_CUT,
+        tiers: Earnings.parseTiers(val('dd-tiers')),
+        minMonthly: parseInt(val('dd-min-monthly')) || 0
+      },
+      customer: {
+        domains: CustomerRegistry.parseDomains(val('dd-domains')),
+        contacts: CustomerRegistry.parseContacts(val('dd-contacts'))
+      }
+    });
+    const clash = CustomerRegistry.conflicts().find(c => c.deploymentIds.includes(id));
+    if (clash) Toast.warning(`${clash.domain} is also registered to ${clash.deploymentIds.filter(x => x !== id).join(', ')}`, '⚠️');
+    else Toast.success('Deployment updated', '💾');
+  },
+
+  setDeploymentStatus(id, status) {
+    if (status === 'decommissioned' && !confirm('Decommission this deployment? Its history is kept, but it stops earning for good.')) return;
+    if (!Store.setStatus(id, status)) return;
+    const labels = { active: ['Resumed — earnings accrue again', '▶'], paused: ['Paused — earnings stopped', '⏸'], decommissioned: ['Decommissioned — history preserved', '📦'] };
+    Toast.info(...labels[status]);
+  },
+
+  // --- Uptime Ledger ---
+  bindLedger() {
+    document.getElementById('ledger-add')?.addEventListener('click', () => this.addLedgerEntry());
+    document.getElementById('ledger-deployment')?.addEventListener('change', () => this.renderLedger(Store.getDeployments()));
+  },
+
+  renderLedger(deployments) {
+    const select = document.getElementById('ledger-deployment');
+    const list = document.getElementById('ledger-list');
+    if (!select || !list) return;
+
+    const selected = select.value;
+    select.innerHTML = deployments.map(d => `<option value="${d.id}">${escapeHtml(d.factory?.name || d.id)}</option>`).join('');
+    if (deployments.some(d => d.id === selected)) select.value = selected;
+
+    const d = deployments.find(x => x.id === select.value);
+    if (!d) {
+      list.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">Deploy a factory to start its uptime ledger.</div>';
+      return;
+    }
+
+    const u = Uptime.summary(d);
+    const entries = [...(d.ledger || [])].sort((a, b) => String(b.from).localeCompare(String(a.from)));
+    list.innerHTML = `
+      <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:8px">
+        ${u.workedDays}d worked · ${u.lostRobotDays} robot-days lost · ${u.incidents} incidents · ${u.maintenanceWindows} maintenance ·
+        <span style="color:${u.belowThreshold ? 'var(--red)' : 'var(--green)'}">${Math.round(u.utilisation * 100)}% utilisation</span>
+      </div>
+      ${entries.length === 0 ? '<div style="color:var(--text-muted);font-size:0.85rem">No entries yet — every calendar day since deployment counts as worked.</div>' : entries.map(e => {
+        const info = Uptime.KIND_INFO[e.kind] || { label: e.kind, icon: '•' };
+        return `
+          <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.85rem;align-items:center">
+            <span>${info.icon}</span>
+            <span style="font-family:var(--font-mono);color:var(--cyan);min-width:190px">${e.from}${e.to && e.to !== e.from ? ` → ${e.to}` : ''}</span>
+            <span style="flex:1;color:var(--text-secondary)">${info.label}${e.kind !== 'worked' ? ` · ${e.robots || d.robots?.count || 0} robots` : ''}${e.note ? ` — ${escapeHtml(e.note)}` : ''}</span>
+            <button class="btn btn-secondary" onclick="UI.removeLedgerEntry('${d.id}', '${e.id}')">✕</button>
+          </div>
+        `;
+      }).join('')}
+    `;
+  },
+
+  addLedgerEntry() {
+    const deploymentId = document.getElementById('ledger-deployment')?.value;
+    const kind = document.getElementById('ledger-kind')?.value || 'worked';
+    const from = document.getElementById('ledger-from')?.value;
+    const to = document.getElementById('ledger-to')?.value || from;
+    if (!deploymentId || !from) {
+      Toast.warning('Pick a deployment and a start date', '⚠️');
+      return;
+    }
+    if (to < from) {
+      Toast.warning('End date is before start date', '⚠️');
+      return;
+    }
+    Store.addLedgerEntry(deploymentId, {
+      kind,
+      from,
+      to,
+      robots: parseInt(document.getElementById('ledger-robots')?.value) || null,
+      note: document.getElementById('ledger-note')?.value.trim() || ''
+    });
+    const info = Uptime.KIND_INFO[kind];
+    Toast.success(`${info.label} logged`, info.icon);
+  },
+
+  removeLedgerEntry(deploymentId, entryId) {
+    Store.removeLedgerEntry(deploymentId, entryId);
+  },
+
+  // --- Panel: Earn ---
+  renderEarn() {
+    const deployments = Store.getDeployments();
+    const totals = Earnings.totalFromDeployments(deployments);
+
+    const el = (id) => document.getElementById(id);
+    ['earn-gross', 'earn-mecha', 'earn-boss'].forEach(id => {
+      if (el(id)) el(id).dataset.prefix = Currency.prefix(totals.currency);
+    });
+    this.animateValue(el('earn-gross'), totals.gross);
+    this.animateValue(el('earn-mecha'), totals.mechaOsCut);
+    this.animateValue(el('earn-boss'), totals.bossTake);
+    this.animateValue(el('earn-robots'), totals.totalRobots);
+
+    const alerts = document.getElementById('earn-uptime-alerts');
+    if (alerts) {
+      const flagged = deployments.filter(d => Uptime.summary(d).belowThreshold);
+      alerts.style.display = flagged.length ? 'block' : 'none';
+      alerts.innerHTML = flagged.length
+        ? `⚠ Utilisation below ${Math.round(Uptime.UTILISATION_THRESHOLD * 100)}%: ${flagged.map(d => escapeHtml(d.factory?.name || d.id)).join(', ')}`
+        : '';
+    }
+
+    this.renderInvoices(deployments);
+    this.renderCurrency(deployments);
+
+    // Per-deployment earnings table
+    const tbody = document.getElementById('earn-table-body');
+    if (!tbody) return;
+
+    const display = totals.currency;
+    // Contract currency, with the display-currency figure under it when they differ
+    const money = (amount, currency) => Currency.format(amount, currency) + (currency === display ? ''
+      : `<div style="font-size:0.7rem;color:var(--text-muted)">≈ ${Currency.show(amount, currency)}</div>`);
+    tbody.innerHTML = deployments.map(d => {
+      const e = Earnings.forDeployment(d);
+      const u = e.uptime;
+      return `
+        <tr>
+          <td>${escapeHtml(d.factory?.name || '—')}</td>
+          <td style="font-family:var(--font-mono)">${d.robots?.count || 0}</td>
+          <td style="font-family:var(--font-mono)">${Currency.format(e.dailyRate, e.currency)}/d · ${Math.round(e.cut * 100)}%${e.guaranteeApplied ? ' <span style="color:var(--amber)" title="Monthly minimum guarantee applied">MIN</span>' : ''}</td>
+          <td style="font-family:var(--font-mono)">${u.workedDays}</td>
+          <td style="font-family:var(--font-mono);color:${u.belowThreshold ? 'var(--red)' : 'var(--text-secondary)'}">${Math.round(u.utilisation * 100)}%${u.belowThreshold ? ' ⚠' : ''}</td>
+          <td style="font-family:var(--font-mono);color:var(--amber)">${money(e.gross, e.currency)}</td>
+          <td style="font-family:var(--font-mono);color:var(--cyan)">${money(e.mechaOsCut, e.currency)}</td>
+          <td style="font-family:var(--font-mono);color:var(--green)">${money(e.bossTake, e.currency)}</td>
+        </tr>
       `;
     }).join('');
   },
 
-  // --- Panel: Earn ---
-  renderEarn() {
-    const deployments = Store.getDeployments();
-    const totals = Earnings.totalFromDeployments(deployments);
+  // --- Currency ---
+  bindCurrency() {
+    document.getElementById('fx-save')?.addEventListener('click', () => this.saveCurrency());
+  },
+
+  renderCurrency(deployments) {
+    const select = document.getElementById('fx-display');
+    const table = document.getElementById('fx-rates');
+    if (!select || !table) return;
+    const cfg = Currency.settings();
+    select.innerHTML = this.currencyOptions(cfg.display);
+    const used = code => deployments.filter(d => Earnings.terms(d.revenue).currency === code).length;
+    table.innerHTML = Object.entries(Currency.CODES).map(([code, c]) => `
+      <div class="form-group">
+        <label class="form-label" for="fx-rate-${code}">${code} per 1 ${Currency.BASE} · ${used(code)} deployment${used(code) === 1 ? '' : 's'}</label>
+        <input class="form-input" id="fx-rate-${code}" type="number" min="0" step="any" value="${cfg.rates[code]}" ${code === Currency.BASE ? 'disabled' : ''} title="${c.label}">
+      </div>
+    `).join('');
+    const note = document.getElementById('fx-updated');
+    if (note) note.textContent = cfg.updatedAt ? `Rates last edited ${cfg.updatedAt.slice(0, 10)}` : 'Default rates — edit them to match today\'s bank rate';
+  },
+
+  saveCurrency() {
+    const rates = {};
+    for (const code of Object.keys(Currency.CODES)) {
+      if (code === Currency.BASE) continue;
+      const rate = parseFloat(document.getElementById(`fx-rate-${code}`)?.value);
+      if (!(rate > 0)) {
+        Toast.warning(`${code} rate must be a positive number`, '⚠️');
+        return;
+      }
+      rates[code] = rate;
+    }
+    Store.saveCurrency({ display: document.getElementById('fx-display')?.value, rates });
+    Toast.success(`Showing totals in ${Currency.display()}`, '💱');
+  },
+
+  // --- Backup ---
+  bindBackup() {
+    document.getElementById('backup-export')?.addEventListener('click', () => {
+      const backup = Backup.export();
+      Toast.success(`Exported ${backup.data.deployments.length} deployments`, '💾');
+    });
+    document.getElementById('backup-import')?.addEventListener('click', () => this.importBackup());
+  },
+
+  async importBackup() {
+    const file = document.getElementById('backup-file')?.files?.[0];
+    const mode = document.getElementById('backup-mode')?.value || 'merge';
+    const status = document.getElementById('backup-status');
+    if (!file) {
+      Toast.warning('Choose a backup file first', '⚠️');
+      return;
+    }
+    if (mode === 'replace' && !confirm('Replace ALL dashboard data with this backup?')) return;
+
+    const result = await Backup.importFile(file, mode);
+    if (!result.ok) {
+      if (status) status.innerHTML = result.errors.map(e => `<div style="color:var(--red)">✕ ${escapeHtml(e)}</div>`).join('');
+      Toast.warning('Backup rejected — see details', '⚠️');
+      return;
+    }
+    const r = result.report;
+    if (status) {
+      status.innerHTML = Object.entries(r).map(([key, v]) => `
+        <div>${key}: +${v.added} added · ${v.updated} updated${v.conflicts?.length ? ` · <span style="color:var(--amber)">conflicting numbers kept as-is: ${v.conflicts.join(', ')}</span>` : ''}</div>
+      `).join('');
+    }
+    Toast.success(mode === 'replace' ? 'Backup restored' : 'Backup merged', '📥');
+  },
+
+  // --- Team Sync ---
+  bindSync() {
+    if (typeof Sync === 'undefined') return;
+    const cfg = Sync.config();
+    const endpoint = document.getElementById('sync-endpoint');
+    const key = document.getElementById('sync-key');
+    if (endpoint) endpoint.value = cfg.endpoint;
+    if (key) key.value = cfg.apiKey;
+    endpoint?.addEventListener('change', () => Sync.saveConfig({ endpoint: endpoint.value.trim() }));
+    key?.addEventListener('change', () => Sync.saveConfig({ apiKey: key.value.trim() }));
+    document.getElementById('sync-push')?.addEventListener('click', () => this.runSync('push'));
+    document.getElementById('sync-pull')?.addEventListener('click', () => this.runSync('pull'));
+    this.renderSync();
+  },
+
+  renderSync() {
+    const status = document.getElementById('sync-status');
+    const list = document.getElementById('sync-conflicts');
+    if (!status || !list || typeof Sync === 'undefined') return;
+    const cfg = Sync.config();
+    status.textContent = cfg.lastSyncedAt
+      ? `Last synced ${new Date(cfg.lastSyncedAt).toLocaleString()} · revision ${cfg.revision}`
+      : 'Never synced';
+    list.innerHTML = cfg.conflicts.map((c, i) => `
+      <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.82rem;align-items:center">
+        <span style="color:var(--amber)">⚠</span>
+        <span style="flex:1;color:var(--text-secondary)">${escapeHtml(c.factory)} (${c.id}) — ${c.renumbered
+          ? `created on two laptops with the same id; the local one is now ${c.renumbered}`
+          : c.duplicate
+            ? 'number already used on the bridge for another statement; the local one was not kept — re-issue it'
+            : `edited on two laptops; kept the ${c.kept} copy, discarded one updated ${c.discarded?.updatedAt?.slice(0, 16).replace('T', ' ') || '—'}`}</span>
+        <button class="btn btn-secondary" onclick="UI.dismissSyncConflict(${i})">✕</button>
+      </div>
+    `).join('');
+  },
+
+  async runSync(mode) {
+    if (mode === 'pull' && !confirm('Replace all data on this laptop with the synced copy?')) return;
+    try {
+      const res = mode === 'pull' ? await Sync.pull() : await Sync.push();
+      const conflicts = res.conflicts?.length || 0;
+      if (conflicts) Toast.warning(`Synced with ${conflicts} conflict${conflicts > 1 ? 's' : ''} — review below`, '⚠️');
+      else Toast.success(`Synced — revision ${res.revision}`, '🔄');
+    } catch (err) {
+      Toast.warning(`Sync failed: ${err.message}`, '⚠️');
+    }
+    this.renderSync();
+  },
+
+  dismissSyncConflict(index) {
+    Sync.dismissConflict(index);
+    this.renderSync();
+  },
+
+  // --- Invoices ---
+  bindInvoices() {
+    const month = document.getElementById('invoice-month');
+    if (month && !month.value) {
+      // The previous month — the latest one that can be invoiced
+      const now = new Date();
+      const last = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      month.value = `${last.getFullYear()}-${String(last.getMonth() + 1).padStart(2, '0')}`;
+    }
+    document.getElementById('invoice-issue')?.addEventListener('click', () => this.issueInvoice());
+  },
+
+  renderInvoices(deployments) {
+    const select = document.getElementById('invoice-deployment');
+    const list = document.getElementById('invoice-list');
+    if (!select || !list || typeof Invoice === 'undefined') return;
 
-    const el = (id) => document.getElementById(id);
-    this.animateValue(el('earn-gross'), totals.gross);
-    this.animateValue(el('earn-mecha'), totals.mechaOsCut);
-    this.animateValue(el('earn-boss'), totals.bossTake);
-    this.animateValue(el('earn-robots'), totals.totalRobots);
+    const selected = select.value;
+    select.innerHTML = deployments.map(d => `<option value="${d.id}">${escapeHtml(d.factory?.name || d.id)}</option>`).join('');
+    if (deployments.some(d => d.id === selected)) select.value = selected;
 
-    // Per-deployment earnings table
-    const tbody = document.getElementById('earn-table-body');
-    if (!tbody) return;
+    const invoices = Store.getInvoices().slice().reverse();
+    if (invoices.length === 0) {
+      list.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No invoices issued yet.</div>';
+      return;
+    }
 
-    tbody.innerHTML = deployments.map(d => {
-      const days = Earnings.daysSince(d.createdAt);
-      const e = Earnings.calculate(d.robots?.count || 0, days);
-      return `
-        <tr>
-          <td>${d.factory?.name || '—'}</td>
-          <td style="font-family:var(--font-mono)">${d.robots?.count || 0}</td>
-          <td style="font-family:var(--font-mono)">${days}</td>
-          <td style="font-family:var(--font-mono);color:var(--amber)">$${e.gross.toLocaleString()}</td>
-          <td style="font-family:var(--font-mono);color:var(--cyan)">$${e.mechaOsCut.toLocaleString()}</td>
-          <td style="font-family:var(--font-mono);color:var(--green)">$${e.bossTake.toLocaleString()}</td>
-        </tr>
-      `;
-    }).join('');
+    list.innerHTML = invoices.map(inv => `
+      <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.85rem;align-items:center">
+        <span style="font-family:var(--font-mono);color:var(--cyan);min-width:120px">${inv.number}</span>
+        <span style="flex:1;color:var(--text-secondary)">${escapeHtml(inv.factory?.name || inv.deploymentId)} · ${inv.period}</span>
+        <span style="font-family:var(--font-mono);color:var(--amber)">${inv.billingCurrency} ${inv.totalDue.toLocaleString()}</span>
+        <button class="btn btn-secondary" onclick="UI.printInvoice('${inv.number}')">🖨️</button>
+        <button class="btn btn-secondary" onclick="UI.downloadInvoice('${inv.number}')">⬇</button>
+      </div>
+    `).join('');
+  },
+
+  issueInvoice() {
+    const deploymentId = document.getElementById('invoice-deployment')?.value;
+    const month = document.getElementById('invoice-month')?.value;
+    if (!deploymentId || !month) {
+      Toast.warning('Pick a deployment and a month', '⚠️');
+      return;
+    }
+    const result = Invoice.issue(deploymentId, month);
+    if (result.error) {
+      Toast.warning(result.error, '⚠️');
+      return;
+    }
+    if (result.created) {
+      Toast.success(`Issued ${result.invoice.number}`, '🧾');
+    } else {
+      Toast.info(`${result.invoice.number} already covers ${month}`, '🧾');
+    }
+    this.renderInvoices(Store.getDeployments());
+  },
+
+  printInvoice(number) {
+    const inv = Store.getInvoices().find(i => i.number === number);
+    if (inv && !Invoice.print(inv)) Toast.warning('Pop-up blocked — use download instead', '⚠️');
+  },
+
+  downloadInvoice(number) {
+    const inv = Store.getInvoices().find(i => i.number === number);
+    if (inv) Invoice.download(inv);
   },
 
   // --- Panel: Engage ---
@@ -602,15 +2743,15 @@ const UI = {
     }
 
     engageList.innerHTML = deployments.map(d => {
-      const ds = d.desireState || {};
-      const actions = DesireEngine.getNextAction(ds);
+      const ds = DesireEngine.current(d);
+      const actions = DesireEngine.actionsFor(d);
       const topAction = actions[0];
       const stageInfo = DesireEngine.STAGE_INFO[ds.stage || 'CUE'];
 
       return `
         <div class="card">
           <div class="card-header">
-            <span class="card-title">${d.factory?.name || 'Factory'}</span>
+            <span class="card-title">${escapeHtml(d.factory?.name || 'Factory')}</span>
             <span class="card-badge badge-${topAction.priority === 'critical' ? 'red' : topAction.priority === 'high' ? 'amber' : 'cyan'}">${topAction.action}</span>
           </div>
           <div class="desire-timeline">
@@ -629,17 +2770,25 @@ const UI = {
           <div style="margin-top:16px;padding:12px 16px;background:var(--bg-glass);border:1px solid var(--border);border-radius:var(--radius-sm)">
             <div style="font-size:0.75rem;color:var(--text-muted);text-transform:uppercase;letter-spacing:0.08em;margin-bottom:6px">Recommended Action</div>
             <div style="font-size:0.9rem;font-weight:600">${topAction.reason}</div>
-            <div style="font-size:0.78rem;color:var(--text-muted);margin-top:4px">Content type: <span style="color:var(--purple)">${ds.content_rotation || 'insight'}</span> · Open loops: <span style="color:var(--cyan)">${ds.open_loops || 0}/${ds.max_loops || 3}</span></div>
+            <div style="font-size:0.78rem;color:var(--text-muted);margin-top:4px">Content type: <span style="color:var(--purple)">${ds.content_rotation || 'insight'}</span> · Open loops: <span style="color:var(--cyan)">${ds.open_loops || 0}/${DesireEngine.maxLoops(DesireEngine.rulesFor(d.factory?.type))}</span> · Anticipation: <span style="color:var(--amber)">${ds.anticipation_level.toFixed(1)}/10</span> · Last touch: <span style="color:${actions.some(a => a.action === 'FORCE_TOUCH') ? 'var(--red)' : 'var(--text-secondary)'}">${ds.days_since_touch}d ago</span></div>
           </div>
           <div style="margin-top:12px;display:flex;gap:8px">
             <button class="btn btn-secondary" onclick="UI.advanceDesire('${d.id}')">Advance Stage ▶</button>
             <button class="btn btn-secondary" onclick="UI.plantLoop('${d.id}')">Plant Loop 🌱</button>
             <button class="btn btn-secondary" onclick="UI.touchClient('${d.id}')">Touch 📞</button>
           </div>
+          ${Store.openRisks(d).map(r => `
+            <div style="margin-top:8px;font-size:0.8rem;color:var(--red)">⚠ ${escapeHtml(r.note || r.subject)}</div>
+          `).join('')}
+          ${this.renderTouchTimeline(d)}
         </div>
       `;
     }).join('');
 
+    this.renderTouchForm(deployments);
+    this.renderCalendar(deployments);
+    this.renderRules(deployments);
+
     // Render email intelligence
     this.renderEmailIntel();
   },
@@ -659,10 +2808,11 @@ const UI = {
     const data = Store.load();
     const d = data.deployments.find(x => x.id === deploymentId);
     if (!d || !d.desireState) return;
-    if (d.desireState.open_loops < d.desireState.max_loops) {
+    const maxLoops = DesireEngine.maxLoops(DesireEngine.rulesFor(d.factory?.type));
+    if (d.desireState.open_loops < maxLoops) {
       d.desireState.open_loops++;
-      d.desireState.anticipation_level = Math.min(10, d.desireState.anticipation_level + 2);
-      Toast.success(`Loop planted — ${d.desireState.open_loops}/${d.desireState.max_loops} active`, '🌱');
+      DesireEngine.setAnticipation(d.desireState, DesireEngine.anticipation(d.desireState) + 2);
+      Toast.success(`Loop planted — ${d.desireState.open_loops}/${maxLoops} active`, '🌱');
     } else {
       Toast.warning('Max loops reached — don\'t overwhelm the boss', '⚠️');
     }
@@ -670,16 +2820,270 @@ const UI = {
     this.renderEngage();
   },
 
+  // Opens the touch form for this deployment, content type preset to its rotation
   touchClient(deploymentId) {
-    const data = Store.load();
-    const d = data.deployments.find(x => x.id === deploymentId);
-    if (!d || !d.desireState) return;
-    d.desireState.days_since_touch = 0;
-    if (d.desireState.open_loops > 0) d.desireState.open_loops--;
-    d.desireState.anticipation_level = Math.max(0, d.desireState.anticipation_level - 3);
-    Store.save(data);
+    const d = Store.getDeployments().find(x => x.id === deploymentId);
+    if (!d) return;
+    const select = document.getElementById('touch-deployment');
+    if (select) select.value = deploymentId;
+    const content = document.getElementById('touch-content');
+    if (content) content.value = d.desireState?.content_rotation || 'insight';
+    document.getElementById('touch-form')?.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('touch-notes')?.focus();
+  },
+
+  // --- Engagement Calendar ---
+  bindCalendar() {
+    const shift = (offset) => {
+      this.calendarWeek = offset === 0 ? 0 : this.calendarWeek + offset;
+      this.renderCalendar(Store.getDeployments());
+    };
+    document.getElementById('calendar-prev')?.addEventListener('click', () => shift(-1));
+    document.getElementById('calendar-today')?.addEventListener('click', () => shift(0));
+    document.getElementById('calendar-next')?.addEventListener('click', () => shift(1));
+    document.getElementById('calendar-export')?.addEventListener('click', () => {
+      const plan = EngageCalendar.plan(Store.getDeployments(), this.calendarWeek);
+      const count = plan.days.reduce((n, day) => n + day.planned.length, 0);
+      if (count === 0) {
+        Toast.warning('No touches planned this week', '⚠️');
+        return;
+      }
+      EngageCalendar.download(plan);
+      Toast.success(`Exported ${count} planned touches`, '📅');
+    });
+  },
+
+  renderCalendar(deployments) {
+    const grid = document.getElementById('calendar-grid');
+    if (!grid || typeof EngageCalendar === 'undefined') return;
+    const plan = EngageCalendar.plan(deployments, this.calendarWeek);
+    const range = document.getElementById('calendar-range');
+    if (range) range.textContent = this.calendarWeek === 0 ? 'THIS WEEK' : `${plan.from} → ${plan.to}`;
+
+    const colour = { critical: 'var(--red)', high: 'var(--amber)', medium: 'var(--cyan)', low: 'var(--text-muted)' };
+    grid.style.cssText = 'display:grid;grid-template-columns:repeat(7,minmax(0,1fr));gap:6px';
+    grid.innerHTML = plan.days.map(day => `
+      <div style="min-height:110px;padding:8px;border:1px solid ${day.isToday ? 'var(--cyan)' : 'var(--border)'};border-radius:var(--radius-sm);background:var(--bg-glass)">
+        <div style="font-size:0.7rem;color:${day.isToday ? 'var(--cyan)' : 'var(--text-muted)'};margin-bottom:6px">
+          ${new Date(day.date + 'T00:00:00Z').toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' })} ${day.date.slice(5)}
+        </div>
+        ${day.logged.map(t => `
+          <div style="font-size:0.7rem;color:var(--green);margin-bottom:4px" title="${escapeHtml(t.notes)}">
+            ✓ ${escapeHtml(t.factory)}
+          </div>
+        `).join('')}
+        ${day.planned.map(p => `
+          <div style="font-size:0.7rem;margin-bottom:4px;cursor:pointer" title="${escapeHtml(p.reason)} · deadline ${p.deadline}" onclick="UI.touchClient('${p.deploymentId}')">
+            <span style="color:${colour[p.priority] || 'var(--text-secondary)'}">${p.action === 'FORCE_TOUCH' ? '🚨' : '•'} ${escapeHtml(p.factory)}</span>
+            <div style="color:var(--text-muted)">${p.action} · ${p.contentType}</div>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+  },
+
+  // --- Desire Engine Rules ---
+  bindRules() {
+    document.getElementById('rules-scope')?.addEventListener('change', (e) => {
+      this.rulesScope = e.target.value;
+      this.rulesDraft = null;
+      this.renderRules(Store.getDeployments());
+    });
+    document.getElementById('rules-table')?.addEventListener('input', () => {
+      this.readRulesDraft();
+      this.renderRulesPreview(Store.getDeployments());
+    });
+    document.getElementById('rules-add')?.addEventListener('click', () => {
+      if (!this.readRulesDraft()) return;
+      this.rulesDraft.push({ id: Store._nextId('r', this.rulesDraft), action: 'MAINTAIN', priority: 'medium', reason: '', conditions: [], _text: '' });
+      this.renderRules(Store.getDeployments());
+    });
+    document.getElementById('rules-save')?.addEventListener('click', () => this.saveRules());
+    document.getElementById('rules-reset')?.addEventListener('click', () => {
+      Store.resetDesireRules(this.rulesScope || null);
+      this.rulesDraft = null;
+      this.renderEngage();
+      Toast.info(this.rulesScope ? `${this.rulesScope} now follows the default rules` : 'Default rules restored', '↺');
+    });
+  },
+
+  renderRules(deployments) {
+    const table = document.getElementById('rules-table');
+    const scope = document.getElementById('rules-scope');
+    if (!table || !scope) return;
+
+    const set = Store.getDesireRules();
+    const types = [...new Set([...Object.keys(Principles.tier2), ...deployments.map(d => d.factory?.type).filter(Boolean)])];
+    scope.innerHTML = '<option value="">Default — all factory types</option>' +
+      types.map(t => `<option value="${t}">${t}${set.overrides[t] ? ' (override)' : ''}</option>`).join('');
+    scope.value = this.rulesScope;
+
+    if (!this.rulesDraft) {
+      const rules = this.rulesScope ? set.overrides[this.rulesScope] || set.default : set.default;
+      this.rulesDraft = rules.map(r => ({ ...r, _text: DesireEngine.formatConditions(r.conditions) }));
+    }
+
+    const options = (list, value) => list.map(v => `<option value="${v}" ${v === value ? 'selected' : ''}>${v}</option>`).join('');
+    table.innerHTML = this.rulesDraft.map((r, i) => `
+      <div data-rule="${i}" style="display:flex;gap:6px;align-items:center;padding:6px 0;border-bottom:1px solid var(--border)">
+        <input type="checkbox" data-field="enabled" ${r.enabled !== false ? 'checked' : ''} title="Enabled">
+        <select class="form-select" data-field="action" style="max-width:150px">${options(DesireEngine.ACTIONS, r.action)}</select>
+        <select class="form-select" data-field="priority" style="max-width:110px">${options(DesireEngine.PRIORITIES, r.priority)}</select>
+        <input class="form-input" data-field="conditions" style="flex:2;font-family:var(--font-mono);font-size:0.8rem" value="${escapeHtml(r._text)}" placeholder="days_since_touch >= 7">
+        <input class="form-input" data-field="reason" style="flex:2" value="${escapeHtml(r.reason)}" placeholder="Why this action">
+        <button class="btn btn-secondary" onclick="UI.removeRule(${i})">✕</button>
+      </div>
+    `).join('') || '<div style="color:var(--text-muted);font-size:0.85rem">No rules — every deployment gets MAINTAIN.</div>';
+
+    this.renderRulesPreview(deployments);
+  },
+
+  readRulesDraft() {
+    if (!this.rulesDraft) return null;
+    document.querySelectorAll('#rules-table [data-rule]').forEach(row => {
+      const rule = this.rulesDraft[parseInt(row.dataset.rule)];
+      const field = (name) => row.querySelector(`[data-field="${name}"]`);
+      rule.enabled = field('enabled').checked;
+      rule.action = field('action').value;
+      rule.priority = field('priority').value;
+      rule.reason = field('reason').value;
+      rule._text = field('conditions').value;
+      const parsed = DesireEngine.parseConditions(rule._text);
+      rule.conditions = parsed.conditions || [];
+      rule._error = parsed.error || null;
+    });
+    return this.rulesDraft;
+  },
+
+  removeRule(index) {
+    if (!this.readRulesDraft()) return;
+    this.rulesDraft.splice(index, 1);
+    this.renderRules(Store.getDeployments());
+  },
+
+  // Which deployments in this rule set's scope each draft rule would fire for right now
+  renderRulesPreview(deployments) {
+    const preview = document.getElementById('rules-preview');
+    if (!preview || !this.rulesDraft) return;
+    const overrides = Store.getDesireRules().overrides;
+    const inScope = deployments.filter(d => Store.isActive(d) && (this.rulesScope
+      ? d.factory?.type === this.rulesScope
+      : !overrides[d.factory?.type]));
+
+    if (inScope.length === 0) {
+      preview.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No active deployments use this rule set.</div>';
+      return;
+    }
+    preview.innerHTML = this.rulesDraft.map(r => {
+      if (r._error) return `<div style="font-size:0.8rem;color:var(--red);padding:4px 0">${r.action}: ${escapeHtml(r._error)}</div>`;
+      const hits = inScope.filter(d => DesireEngine.matches(r, DesireEngine.current(d), DesireEngine.maxLoops(this.rulesDraft)));
+      return `
+        <div style="font-size:0.8rem;padding:4px 0;color:${r.enabled === false ? 'var(--text-muted)' : 'var(--text-secondary)'}">
+          <span style="font-family:var(--font-mono);color:var(--cyan)">${r.action}</span>
+          ${r.enabled === false ? '(disabled)' : hits.length ? hits.map(d => escapeHtml(d.factory?.name || d.id)).join(', ') : '<span style="color:var(--text-muted)">no deployments</span>'}
+        </div>
+      `;
+    }).join('') + `
+      <div style="font-size:0.8rem;padding-top:8px;margin-top:4px;border-top:1px solid var(--border);color:var(--text-muted)">
+        Next action: ${inScope.map(d => `${escapeHtml(d.factory?.name || d.id)} → <span style="color:var(--amber)">${DesireEngine.getNextAction(DesireEngine.current(d), this.rulesDraft.filter(r => !r._error))[0].action}</span>`).join(' · ')}
+      </div>
+    `;
+  },
+
+  saveRules() {
+    if (!this.readRulesDraft()) return;
+    const broken = this.rulesDraft.find(r => r._error);
+    if (broken) {
+      Toast.warning(`${broken.action}: ${broken._error}`, '⚠️');
+      return;
+    }
+    const rules = this.rulesDraft.map(({ _text, _error, ...rule }) => rule);
+    Store.saveDesireRules(this.rulesScope || null, rules);
+    this.rulesDraft = null;
+    this.renderEngage();
+    Toast.success(`Saved ${this.rulesScope || 'default'} rules`, '⚙️');
+  },
+
+  // --- Touch Log ---
+  bindTouches() {
+    const fill = (id, entries) => {
+      const el = document.getElementById(id);
+      if (el) el.innerHTML = entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    };
+    fill('touch-channel', Object.entries(DesireEngine.CHANNELS).map(([k, c]) => [k, `${c.icon} ${c.label}`]));
+    fill('touch-content', DesireEngine.CONTENT_TYPES.map(t => [t, t]));
+    fill('touch-reaction', Object.entries(DesireEngine.REACTIONS).map(([k, r]) => [k, `${r.icon} ${r.label}`]));
+    const reaction = document.getElementById('touch-reaction');
+    if (reaction) reaction.value = 'positive';
+    const date = document.getElementById('touch-date');
+    if (date && !date.value) date.value = new Date().toISOString().slice(0, 10);
+    document.getElementById('touch-add')?.addEventListener('click', () => this.logTouch());
+  },
+
+  renderTouchForm(deployments) {
+    const select = document.getElementById('touch-deployment');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = deployments.map(d => `<option value="${d.id}">${escapeHtml(d.factory?.name || d.id)}</option>`).join('');
+    if (deployments.some(d => d.id === selected)) select.value = selected;
+  },
+
+  renderTouchTimeline(d) {
+    const touches = (d.touches || []).slice().sort((a, b) => (a.at < b.at ? 1 : -1)).slice(0, 8);
+    if (touches.length === 0) {
+      return '<div style="margin-top:12px;font-size:0.8rem;color:var(--text-muted)">No touches logged yet.</div>';
+    }
+    return `
+      <div style="margin-top:16px">
+        <div style="font-size:0.75rem;color:var(--text-muted);text-transform:uppercase;letter-spacing:0.08em;margin-bottom:6px">Touch Timeline</div>
+        ${touches.map(t => {
+      const channel = DesireEngine.CHANNELS[t.channel];
+      const reaction = DesireEngine.REACTIONS[t.reaction];
+      return `
+            <div style="display:flex;gap:10px;padding:6px 0;border-bottom:1px solid var(--border);font-size:0.8rem">
+              <span style="font-family:var(--font-mono);color:var(--text-muted);min-width:84px">${t.at.slice(0, 10)}</span>
+              <span style="min-width:24px">${channel ? channel.icon : '•'}</span>
+              <span style="flex:1;color:var(--text-secondary)">
+                ${t.inferred ? '<span style="color:var(--text-muted)">Last touch before the log existed</span>' : ''}
+                ${t.contentType ? `<span style="color:var(--purple)">${t.contentType}</span>` : ''}
+                ${t.notes ? ` — ${escapeHtml(t.notes)}` : ''}
+                ${t.advancedTo ? ` <span style="color:var(--cyan)">→ ${DesireEngine.STAGE_INFO[t.advancedTo]?.label}</span>` : ''}
+              </span>
+              <span title="${reaction?.label || ''}">${reaction ? reaction.icon : ''}</span>
+            </div>
+          `;
+    }).join('')}
+      </div>
+    `;
+  },
+
+  logTouch() {
+    const deploymentId = document.getElementById('touch-deployment')?.value;
+    const date = document.getElementById('touch-date')?.value;
+    if (!deploymentId) {
+      Toast.warning('Pick a deployment', '⚠️');
+      return;
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    if (date && date > today) {
+      Toast.warning('Touches are logged after they happen', '⚠️');
+      return;
+    }
+    const touch = Store.addTouch(deploymentId, {
+      at: !date || date === today ? new Date().toISOString() : `${date}T12:00:00.000Z`,
+      channel: document.getElementById('touch-channel')?.value,
+      contentType: document.getElementById('touch-content')?.value,
+      reaction: document.getElementById('touch-reaction')?.value,
+      notes: document.getElementById('touch-notes')?.value.trim() || ''
+    });
+    if (!touch) return;
+    const notes = document.getElementById('touch-notes');
+    if (notes) notes.value = '';
     this.renderEngage();
-    Toast.success(`Touched ${d.factory?.name} — anticipation reset`, '📞');
+    const name = Store.getDeployments().find(d => d.id === deploymentId)?.factory?.name;
+    Toast.success(touch.advancedTo
+      ? `${name}: → ${DesireEngine.STAGE_INFO[touch.advancedTo].label}`
+      : `Touch logged for ${name}`, DesireEngine.REACTIONS[touch.reaction]?.icon || '📞');
   },
 
   // --- Email Intelligence ---
@@ -703,24 +3107,40 @@ const UI = {
       const icon = typeIcons[s.type] || '📧';
       const zoneColor = zoneColors[s.zone] || 'var(--text-muted)';
       const timeAgo = this._timeAgo(s.timestamp);
+      const applied = EmailBridge.applied(s);
+      const d = EmailBridge._deployment(s);
 
       return `
         <div style="display:flex;gap:12px;padding:12px 0;border-bottom:1px solid var(--border);align-items:flex-start">
           <span style="font-size:1.2rem;flex-shrink:0">${icon}</span>
           <div style="flex:1;min-width:0">
-            <div style="font-size:0.85rem;font-weight:600;color:var(--text-primary);margin-bottom:2px">${s.source}</div>
-            <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:4px">${s.subject}</div>
-            <div style="font-size:0.82rem;color:var(--text-secondary)">${s.insight}</div>
+            <div style="font-size:0.85rem;font-weight:600;color:var(--text-primary);margin-bottom:2px">${escapeHtml(s.source)}</div>
+            <div style="font-size:0.78rem;color:var(--text-muted);margin-bottom:4px">${escapeHtml(s.subject)}</div>
+            <div style="font-size:0.82rem;color:var(--text-secondary)">${escapeHtml(s.insight)}</div>
+            ${d ? `<div style="font-size:0.72rem;color:var(--cyan);margin-top:4px">→ ${escapeHtml(d.factory?.name || d.id)}</div>` : ''}
           </div>
           <div style="flex-shrink:0;text-align:right">
             <div style="width:8px;height:8px;border-radius:50%;background:${zoneColor};margin-left:auto;margin-bottom:4px"></div>
             <div style="font-size:0.7rem;color:var(--text-muted);font-family:var(--font-mono)">${timeAgo}</div>
+            ${applied ? `<div style="font-size:0.7rem;color:var(--green);margin-top:6px" title="Applied ${applied.appliedAt.slice(0, 10)}">✓ applied</div>` : ''}
+            ${EmailBridge.canApply(s) ? `<button class="btn btn-secondary" style="margin-top:6px;font-size:0.7rem" onclick="UI.applySignal('${s.id}')">${EmailBridge.APPLIES[s.type]}</button>` : ''}
           </div>
         </div>
       `;
     }).join('');
   },
 
+  applySignal(signalId) {
+    const result = EmailBridge.apply(signalId);
+    if (result.error) {
+      Toast.warning(result.error, '⚠️');
+      return;
+    }
+    const done = { engagement: 'Logged as an email touch', threat: 'Risk flag raised', insight: `Harvested into seed ${result.ref}` };
+    Toast.success(done[result.type], '📧');
+    this.renderEngage();
+  },
+
   renderEmailSeeds() {
     const list = document.getElementById('email-seeds-list');
     if (!list || typeof EmailBridge === 'undefined') return;
@@ -737,8 +3157,8 @@ const UI = {
     list.innerHTML = all.map(s => `
       <div class="principle-item" style="margin-bottom:8px">
         <span class="principle-num">${s.type === 'opportunity' ? '💎' : '💡'}</span>
-        ${s.insight}
-        <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px">${s.source} · ${this._timeAgo(s.timestamp)}</div>
+        ${escapeHtml(s.insight)}
+        <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px">${escapeHtml(s.source)} · ${this._timeAgo(s.timestamp)}</div>
       </div>
     `).join('');
   },
@@ -789,26 +3209,231 @@ const UI = {
       }
     }
 
+    // Seeds
+    this.renderSeeds(deployments);
+
     // Lessons
-    const lessonsEl = document.getElementById('lessons-list');
-    if (lessonsEl) {
-      const lessons = Store.getLessons();
-      if (lessons.length === 0) {
-        lessonsEl.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No lessons yet. Complete a deployment cycle to harvest insights.</div>';
-      } else {
-        lessonsEl.innerHTML = lessons.map(l => `
-          <div class="principle-item">
-            <span class="principle-num">${l.id}</span>${l.text}
-            <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px">${new Date(l.createdAt).toLocaleDateString()}</div>
-          </div>
-        `).join('');
-      }
-    }
+    this.renderLessons(deployments);
 
     // Email-derived seeds
     this.renderEmailSeeds();
   },
 
+  // --- Seeds ---
+  bindSeeds() {
+    const type = document.getElementById('seed-type');
+    if (type) type.innerHTML = SeedEngine.TYPES.map(t => `<option value="${t}">${t}</option>`).join('');
+    document.getElementById('seed-plant')?.addEventListener('click', () => this.plantSeed());
+    document.getElementById('seed-harvest')?.addEventListener('click', () => this.harvestSeed());
+  },
+
+  renderSeeds(deployments) {
+    const select = document.getElementById('seed-deployment');
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = deployments.map(d => `<option value="${d.id}">${escapeHtml(d.factory?.name || d.id)}</option>`).join('');
+      if (deployments.some(d => d.id === selected)) select.value = selected;
+    }
+
+    const seeds = Store.getSeeds();
+    const name = id => deployments.find(d => d.id === id)?.factory?.name || id;
+    const harvestSelect = document.getElementById('seed-harvest-id');
+    if (harvestSelect) {
+      const planted = seeds.filter(s => s.status === 'planted');
+      const selected = harvestSelect.value;
+      harvestSelect.innerHTML = planted.length
+        ? planted.map(s => `<option value="${s.id}">${s.id} · ${s.type} · ${escapeHtml(name(s.deploymentId))}</option>`).join('')
+        : '<option value="">No planted seeds</option>';
+      if (planted.some(s => s.id === selected)) harvestSelect.value = selected;
+    }
+
+    const formula = document.getElementById('seed-formula');
+    if (formula) formula.textContent = SeedEngine.formula();
+
+    const list = document.getElementById('seeds-list');
+    if (!list) return;
+    if (seeds.length === 0) {
+      list.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No seeds planted yet.</div>';
+      return;
+    }
+
+    const lessons = Store.getLessons();
+    const breakdown = seed => SeedEngine.score(seed, lessons.filter(l => l.seedId === seed.id)).parts
+      .filter(p => p.value > 0)
+      .map(p => `${p.label} +${p.value.toFixed(2)} (${p.detail})`)
+      .join(' · ');
+
+    const ids = [...new Set(seeds.map(s => s.deploymentId))];
+    list.innerHTML = ids.map(id => {
+      const own = seeds.filter(s => s.deploymentId === id);
+      return `
+        <div style="margin-bottom:16px">
+          <div style="font-size:0.75rem;text-transform:uppercase;letter-spacing:0.1em;color:var(--purple);margin-bottom:8px">
+            ${escapeHtml(name(id))} · avg ${SeedEngine.avgQuality(own).toFixed(2)}
+          </div>
+          ${own.map(s => `
+            <div style="padding:8px 0;border-bottom:1px solid var(--border);font-size:0.85rem">
+              <div style="display:flex;gap:12px;align-items:center">
+                <span style="font-family:var(--font-mono);color:var(--cyan);min-width:48px">${s.id}</span>
+                <span style="flex:1;color:var(--text-secondary)">${s.type}</span>
+                <span style="color:${s.status === 'harvested' ? 'var(--green)' : 'var(--amber)'}">${s.status === 'harvested' ? '🌾 harvested' : '🌱 planted'}</span>
+                <span style="font-family:var(--font-mono);min-width:40px;text-align:right">${s.quality.toFixed(2)}</span>
+                ${s.status === 'harvested' && !s.validated ? `<button class="btn btn-secondary" onclick="UI.validateSeed('${s.id}')">✓ Validate</button>` : ''}
+              </div>
+              <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px;font-family:var(--font-mono)">${breakdown(s)}</div>
+              <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px">
+                Planted ${new Date(s.plantedAt).toLocaleDateString()}${s.harvestedAt ? ` · harvested ${new Date(s.harvestedAt).toLocaleDateString()}` : ''}
+              </div>
+              ${(s.insights || []).map(i => `<div style="font-size:0.8rem;color:var(--text-secondary);margin-top:4px">💡 ${escapeHtml(i)}</div>`).join('')}
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+  },
+
+  plantSeed() {
+    const deploymentId = document.getElementById('seed-deployment')?.value;
+    if (!deploymentId) {
+      Toast.warning('Pick a deployment', '⚠️');
+      return;
+    }
+    const seed = Store.plantSeed(deploymentId, document.getElementById('seed-type')?.value);
+    if (seed) Toast.success(`Planted ${seed.type} seed ${seed.id}`, '🌱');
+  },
+
+  harvestSeed() {
+    const id = document.getElementById('seed-harvest-id')?.value;
+    if (!id) {
+      Toast.warning('No planted seed selected', '⚠️');
+      return;
+    }
+    const input = document.getElementById('seed-insights');
+    const insights = (input?.value || '').split('\n').map(l => l.trim()).filter(Boolean);
+    if (insights.length === 0) {
+      Toast.warning('Record at least one insight to harvest', '⚠️');
+      return;
+    }
+    const seed = Store.harvestSeed(id, insights);
+    if (!seed) return;
+    if (input) input.value = '';
+    Toast.success(`Harvested ${seed.id} — quality ${seed.quality.toFixed(2)}`, '🌾');
+  },
+
+  validateSeed(id) {
+    const seed = Store.validateSeed(id);
+    if (seed) Toast.success(`${seed.id} validated — quality ${seed.quality.toFixed(2)}`, '✓');
+  },
+
+  // --- Lessons ---
+  bindLessons() {
+    const principle = document.getElementById('lesson-principle');
+    if (principle) {
+      principle.innerHTML = '<option value="">— none —</option>' +
+        Principles.tier1.map(p => `<option value="${p.num}">${p.num} · ${p.text}</option>`).join('');
+    }
+    const category = document.getElementById('lesson-category');
+    if (category) {
+      category.innerHTML = Object.entries(Lessons.CATEGORIES)
+        .map(([key, c]) => `<option value="${key}">${c.icon} ${c.label}</option>`).join('');
+    }
+    document.getElementById('lesson-add')?.addEventListener('click', () => this.addLesson());
+    document.getElementById('lesson-deployment')?.addEventListener('change', () => this.renderLessonSeeds());
+    ['lesson-search', 'lesson-filter-type', 'lesson-filter-tag'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.renderLessons(Store.getDeployments()));
+    });
+  },
+
+  renderLessons(deployments) {
+    const select = document.getElementById('lesson-deployment');
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = '<option value="">— general —</option>' +
+        deployments.map(d => `<option value="${d.id}">${escapeHtml(d.factory?.name || d.id)}</option>`).join('');
+      if (deployments.some(d => d.id === selected)) select.value = selected;
+    }
+    this.renderLessonSeeds();
+
+    const lessonsEl = document.getElementById('lessons-list');
+    if (!lessonsEl) return;
+    const all = Store.getLessons();
+
+    // Keep filter choices in step with what has actually been recorded
+    const fill = (id, values, label) => {
+      const el = document.getElementById(id);
+      if (!el) return '';
+      const current = el.value;
+      el.innerHTML = `<option value="">${label}</option>` + values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+      el.value = values.includes(current) ? current : '';
+      return el.value;
+    };
+    const factoryType = fill('lesson-filter-type', Lessons.factoryTypes(all), 'All factory types');
+    const tag = fill('lesson-filter-tag', Lessons.tags(all), 'All tags');
+    const query = document.getElementById('lesson-search')?.value || '';
+
+    if (all.length === 0) {
+      lessonsEl.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No lessons yet. Complete a deployment cycle to harvest insights.</div>';
+      return;
+    }
+    const lessons = Lessons.filter(all, { query, factoryType, tag }).slice().reverse();
+    if (lessons.length === 0) {
+      lessonsEl.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No lessons match these filters.</div>';
+      return;
+    }
+
+    lessonsEl.innerHTML = lessons.map(l => {
+      const cat = Lessons.CATEGORIES[l.category];
+      const verdict = l.principle
+        ? `<span style="color:${l.verdict === 'violated' ? 'var(--red)' : 'var(--green)'}">${l.verdict === 'violated' ? '✗' : '✓'} ${l.principle} ${l.verdict}</span>`
+        : '';
+      return `
+        <div class="principle-item">
+          <span class="principle-num">${l.id}</span>${cat ? `${cat.icon} ` : ''}${escapeHtml(l.text)}
+          <div style="font-size:0.7rem;color:var(--text-muted);margin-top:4px;display:flex;gap:10px;flex-wrap:wrap">
+            <span>${new Date(l.createdAt).toLocaleDateString()}</span>
+            ${l.factoryName ? `<span>${escapeHtml(l.factoryName)} · ${escapeHtml(l.factoryType)}</span>` : ''}
+            ${verdict}
+            ${(l.tags || []).map(t => `<span style="color:var(--cyan)">#${escapeHtml(t)}</span>`).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  // Seeds a lesson can be linked to — those of the chosen deployment
+  renderLessonSeeds() {
+    const select = document.getElementById('lesson-seed');
+    if (!select) return;
+    const deploymentId = document.getElementById('lesson-deployment')?.value;
+    const seeds = deploymentId ? Store.getSeeds(deploymentId) : [];
+    const selected = select.value;
+    select.innerHTML = '<option value="">— none —</option>' +
+      seeds.map(s => `<option value="${s.id}">${s.id} · ${s.type} · ${s.status}</option>`).join('');
+    if (seeds.some(s => s.id === selected)) select.value = selected;
+  },
+
+  addLesson() {
+    const text = document.getElementById('lesson-text')?.value.trim();
+    if (!text) {
+      Toast.warning('Describe what happened', '⚠️');
+      return;
+    }
+    const lesson = Lessons.capture({
+      deploymentId: document.getElementById('lesson-deployment')?.value,
+      seedId: document.getElementById('lesson-seed')?.value,
+      category: document.getElementById('lesson-category')?.value || 'process',
+      text,
+      principle: document.getElementById('lesson-principle')?.value,
+      verdict: document.getElementById('lesson-verdict')?.value || 'confirmed',
+      tags: Lessons.parseTags(document.getElementById('lesson-tags')?.value)
+    });
+    ['lesson-text', 'lesson-tags'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+    Toast.success(`Lesson ${lesson.id} recorded`, '📚');
+  },
+
   renderSeedCurve(deployments) {
     const canvas = document.getElementById('seed-canvas');
     if (!canvas) return;
@@ -852,12 +3477,12 @@ const UI = {
     });
 
     // Data points
-    const curve = SeedEngine.qualityCurve(deployments);
+    const curve = SeedEngine.qualityCurve(Store.getSeeds(), deployments);
     if (curve.length === 0) {
       ctx.fillStyle = '#555570';
       ctx.textAlign = 'center';
       ctx.font = '13px Inter';
-      ctx.fillText('Deploy factories to see seed quality compound', w / 2, h / 2);
+      ctx.fillText('Plant seeds to see quality compound', w / 2, h / 2);
       return;
     }
 
@@ -889,8 +3514,9 @@ const UI = {
       ctx.arc(x, y, 5, 0, Math.PI * 2);
       ctx.fillStyle = '#00f0ff';
       ctx.fill();
+      // Seeds still in the ground are drawn hollow
       ctx.beginPath();
-      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.arc(x, y, pt.harvested ? 2 : 3.5, 0, Math.PI * 2);
       ctx.fillStyle = '#050508';
       ctx.fill();
     });
@@ -909,62 +3535,350 @@ const UI = {
   },
 
   // --- Panel: Pitch ---
+  // Pitch form → proposal, projected from comparable deployments in Store
+  currentPitch() {
+    const val = id => document.getElementById(id)?.value;
+    const financing = parseFloat(val('pitch-financing'));
+    return PitchGenerator.generate(
+      val('pitch-factory') || 'Your Factory',
+      Math.max(1, parseInt(val('pitch-robots')) || 10),
+      val('pitch-station') || 'Welding',
+      365,
+      undefined,
+      {
+        factoryType: val('pitch-type') || 'metalwork',
+        deployments: Store.getDeployments(),
+        costs: {
+          robotPrice: val('pitch-robot-price'),
+          financingShare: Number.isFinite(financing) ? financing / 100 : undefined,
+          workerSalary: val('pitch-salary')
+        }
+      }
+    );
+  },
+
   renderPitch() {
-    const deployments = Store.getDeployments();
     const pitchOutput = document.getElementById('pitch-output');
     if (!pitchOutput) return;
 
-    // Use form values or defaults
-    const factoryName = document.getElementById('pitch-factory')?.value || 'Your Factory';
-    const robotCount = parseInt(document.getElementById('pitch-robots')?.value) || 10;
-    const workStation = document.getElementById('pitch-station')?.value || 'Welding';
-
-    const pitch = PitchGenerator.generate(factoryName, robotCount, workStation);
+    const pitch = this.currentPitch();
+    const { factory: factoryName, workStation, robotCount } = pitch;
+    const money = amount => Currency.show(amount, pitch.currency);
+    const matchLabel = {
+      station: `${pitch.comparables.length} ${pitch.factoryType} deployment${pitch.comparables.length === 1 ? '' : 's'} on ${workStation}`,
+      type: `no ${workStation} station yet — ${pitch.comparables.length} other ${pitch.factoryType} deployment${pitch.comparables.length === 1 ? '' : 's'}`,
+      none: `no ${pitch.factoryType} deployments yet — projected from house rates`
+    }[pitch.match];
 
     pitchOutput.innerHTML = `
       <div class="pitch-card">
         <h2>🤖 MECHA-OS Deployment Proposal</h2>
-        <div style="color:var(--text-muted);font-size:0.85rem;margin-bottom:24px">${factoryName} · ${workStation} Station · ${robotCount} Robots</div>
+        <div style="color:var(--text-muted);font-size:0.85rem;margin-bottom:24px">${escapeHtml(factoryName)} · ${escapeHtml(workStation)} Station · ${robotCount} Robots</div>
 
-        <div class="pitch-roi">$${pitch.monthlyBossIncome.toLocaleString()}/mo</div>
+        <div class="pitch-roi">${money(pitch.monthlyBossIncome)}/mo</div>
         <div style="color:var(--text-muted);font-size:0.85rem">Projected Monthly Income (Boss Take)</div>
+        <div style="color:var(--text-muted);font-size:0.75rem;margin-top:6px">
+          Based on ${matchLabel}${pitch.basis.source === 'comparables' ? ` · ${money(pitch.basis.perRobotDay)} per robot-day · ${Math.round(pitch.basis.yieldShare * 100)}% of contract days worked` : ''}
+        </div>
 
         <div class="metrics-grid" style="margin-top:24px;text-align:left">
           <div class="metric-tile metric-amber">
             <div class="metric-label">Yearly Gross</div>
-            <div class="metric-value" style="font-size:1.4rem">$${pitch.yearlyGross.toLocaleString()}</div>
+            <div class="metric-value" style="font-size:1.4rem">${money(pitch.yearlyGross)}</div>
           </div>
           <div class="metric-tile metric-green">
-            <div class="metric-label">Boss Take (70%)</div>
-            <div class="metric-value" style="font-size:1.4rem">$${pitch.yearlyBossTake.toLocaleString()}</div>
+            <div class="metric-label">Boss Take</div>
+            <div class="metric-value" style="font-size:1.4rem">${money(pitch.yearlyBossTake)}</div>
           </div>
           <div class="metric-tile metric-cyan">
-            <div class="metric-label">MECHA-OS (30%)</div>
-            <div class="metric-value" style="font-size:1.4rem">$${pitch.yearlyMechaOsCut.toLocaleString()}</div>
+            <div class="metric-label">MECHA-OS</div>
+            <div class="metric-value" style="font-size:1.4rem">${money(pitch.yearlyMechaOsCut)}</div>
           </div>
           <div class="metric-tile metric-purple">
-            <div class="metric-label">Seed Quality Projection</div>
+            <div class="metric-label">Seed Quality ${pitch.seedQualityBasis === 'comparables' ? '(comparables)' : '(estimate)'}</div>
             <div class="metric-value" style="font-size:1.4rem">${pitch.projectedSeedQuality.toFixed(2)}</div>
           </div>
         </div>
 
+        <div style="margin-top:16px;font-size:0.8rem;color:var(--text-muted);text-align:left">
+          Boss ROI ${pitch.roiPercent === null ? '—' : `${pitch.roiPercent}%`} of the ${money(pitch.robotCount * pitch.costs.workerSalary * 12)} yearly labour it replaces ·
+          MECHA-OS finances ${money(pitch.financed)} (${Math.round(pitch.costs.financingShare * 100)}% of ${money(pitch.robotCount * pitch.costs.robotPrice)}),
+          ${pitch.breakevenDays === null ? 'never paid back at this rate' : `paid back from its cut in ${pitch.breakevenDays} days`}
+        </div>
+
+        ${this.renderPitchScenarios(pitch)}
+
+        ${this.renderPitchEvidence(pitch)}
+
         <div style="text-align:left;margin-top:24px">
-          <div style="font-size:0.75rem;text-transform:uppercase;letter-spacing:0.1em;color:var(--text-muted);margin-bottom:12px">Desire Timeline</div>
+          <div style="font-size:0.75rem;text-transform:uppercase;letter-spacing:0.1em;color:var(--text-muted);margin-bottom:12px">
+            Desire Timeline ${pitch.timelineSource === 'comparables' ? '— what happened at comparable factories' : '— playbook, no comparable history yet'}
+          </div>
           ${pitch.desireTimeline.map(t => `
             <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.85rem">
               <span style="font-family:var(--font-mono);color:var(--cyan);min-width:60px">W${t.week}</span>
-              <span style="color:var(--text-secondary)">${t.event}</span>
+              <span style="flex:1;color:var(--text-secondary)">${escapeHtml(t.event)}</span>
+              ${t.seen ? `<span style="color:var(--text-muted);font-size:0.75rem" title="${escapeHtml(t.factories.join(', '))}">${t.seen}/${t.of} factories · day ${t.range[0]}${t.range[1] !== t.range[0] ? `–${t.range[1]}` : ''}</span>` : ''}
             </div>
           `).join('')}
         </div>
 
         <div style="margin-top:24px;padding:16px;background:var(--bg-glass);border-radius:var(--radius-sm);text-align:left">
           <div style="font-size:0.85rem;color:var(--amber);font-weight:600;margin-bottom:4px">机器人出去上班 · 替老闆賺錢</div>
-          <div style="font-size:0.8rem;color:var(--text-muted)">Robots go to work. Boss makes money. You take 30%.</div>
+          <div style="font-size:0.8rem;color:var(--text-muted)">Robots go to work. Boss makes money. You take ${Math.round(pitch.basis.cut * 100)}%.</div>
         </div>
 
         <div class="pitch-actions">
+          <button class="btn-export" onclick="UI.saveProposal()">💾 Save to Pipeline</button>
           <button class="btn-export" onclick="copyPitchToClipboard()">📋 Copy Proposal</button>
+          <button class="btn-export" onclick="UI.printProposal()">🖨️ Print A4</button>
+          <button class="btn-export" onclick="UI.downloadProposal()">⬇ Download A4</button>
+        </div>
+      </div>
+    `;
+  },
+
+  // Without an id the proposal on screen, otherwise a saved one as it was saved
+  printProposal(id) {
+    const saved = id && Store.getProposals().find(p => p.id === id);
+    const ok = saved
+      ? Proposal.print(saved.pitch, Proposal.documentOptions(saved))
+      : Proposal.print(this.currentPitch(), { prospect: document.getElementById('pitch-prospect')?.value });
+    if (!ok) Toast.warning('Pop-up blocked — use download instead', '⚠️');
+  },
+
+  downloadProposal(id) {
+    const saved = id && Store.getProposals().find(p => p.id === id);
+    const pitch = saved ? saved.pitch : this.currentPitch();
+    Proposal.download(pitch, saved ? Proposal.documentOptions(saved) : { prospect: document.getElementById('pitch-prospect')?.value });
+    Toast.success(`Proposal for ${pitch.factory} downloaded`, '📄');
+  },
+
+  // --- Proposal pipeline ---
+  saveProposal() {
+    const prospect = document.getElementById('pitch-prospect')?.value.trim();
+    if (!prospect) {
+      Toast.warning('Enter the prospect — who the proposal is for', '⚠️');
+      return;
+    }
+    const p = Store.addProposal(Proposal.fromPitch(this.currentPitch(), prospect));
+    Toast.success(`Saved ${p.id} for ${prospect} as a draft`, '💾');
+  },
+
+  // Fill the PITCH form from a saved proposal to rework it
+  loadProposal(id) {
+    const p = Store.getProposals().find(x => x.id === id);
+    if (!p) return;
+    const set = (el, value) => { const input = document.getElementById(el); if (input) input.value = value; };
+    set('pitch-prospect', p.prospect);
+    set('pitch-factory', p.pitch.factory);
+    set('pitch-robots', p.pitch.robotCount);
+    set('pitch-type', p.pitch.factoryType);
+    set('pitch-station', p.pitch.workStation);
+    set('pitch-robot-price', p.pitch.costs.robotPrice);
+    set('pitch-financing', Math.round(p.pitch.costs.financingShare * 100));
+    set('pitch-salary', p.pitch.costs.workerSalary);
+    this.renderPitch();
+    document.getElementById('pitch-output')?.scrollIntoView?.({ behavior: 'smooth' });
+  },
+
+  setProposalStatus(id, status) {
+    if (status === 'won') {
+      this.winProposal(id);
+      return;
+    }
+    const p = Store.setProposalStatus(id, status);
+    if (p) Toast.info(`${p.prospect} → ${Proposal.STATUSES[status].label}`, '📈');
+    else this.renderPipeline();
+  },
+
+  // Won → the deploy wizard opens prefilled with the proposal; the proposal
+  // is marked won once the wizard deploys it (Tier 1 confirmed)
+  winProposal(id) {
+    const p = Store.getProposals().find(x => x.id === id);
+    this.renderPipeline();
+    if (!p || p.status === 'won') return;
+    if (!confirm(`Mark ${p.prospect} as won and deploy ${p.pitch.robotCount} robots at ${p.pitch.factory}?`)) return;
+    const { factory, robots } = Proposal.deploymentInput(p);
+    const set = (fieldId, value) => { const el = document.getElementById(fieldId); if (el && value != null) el.value = value; };
+    set('f-name', factory.name);
+    set('f-type', factory.type);
+    set('r-count', robots.count);
+    set('r-station', robots.workStation);
+    this.renderIndustryStep();
+    this.renderRevenuePreview();
+    this.wonProposalId = id;
+    this.showTab('deploy');
+    this.wizardGoto('wizard-step-industry');
+    Toast.info(`Confirm Tier 1 to deploy ${p.prospect}`, '🦺');
+  },
+
+  renderPipeline() {
+    const stages = document.getElementById('pipeline-stages');
+    const list = document.getElementById('proposal-list');
+    if (!stages || !list || typeof Proposal === 'undefined') return;
+
+    const proposals = Store.getProposals();
+    const pipeline = Proposal.pipeline(proposals);
+    const money = amount => Currency.show(amount, Earnings.CURRENCY);
+    stages.innerHTML = Store.PROPOSAL_STATUSES.map(status => {
+      const stage = pipeline[status];
+      const meta = Proposal.STATUSES[status];
+      return `
+        <div class="metric-tile" style="border-top:2px solid ${meta.color}">
+          <div class="metric-label">${meta.icon} ${meta.label} · ${stage.count}</div>
+          <div class="metric-value" style="font-size:1.2rem;color:${meta.color}">${money(stage.value)}</div>
+          <div style="font-size:0.72rem;color:var(--text-muted)">MECHA-OS ${money(stage.mechaOsCut)}/yr</div>
+        </div>
+      `;
+    }).join('');
+
+    if (proposals.length === 0) {
+      list.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No saved proposals yet — save one from the proposal above.</div>';
+      return;
+    }
+
+    list.innerHTML = proposals.slice().reverse().map(p => {
+      const meta = Proposal.STATUSES[p.status] || Proposal.STATUSES.draft;
+      return `
+        <div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid var(--border);font-size:0.85rem;align-items:center;flex-wrap:wrap">
+          <span style="font-family:var(--font-mono);color:var(--cyan);min-width:48px">${p.id}</span>
+          <span style="flex:1;min-width:180px;color:var(--text-secondary)">
+            <strong>${escapeHtml(p.prospect)}</strong> · ${escapeHtml(p.pitch.factory)}
+            <span style="color:var(--text-muted)">· ${p.pitch.robotCount} × ${escapeHtml(p.pitch.workStation)} · ${p.createdAt.slice(0, 10)}</span>
+          </span>
+          <span style="font-family:var(--font-mono);color:var(--amber)">${money(Proposal.value(p))}/yr</span>
+          <select class="form-select" style="width:auto;padding:4px 8px;color:${meta.color}" ${p.status === 'won' ? 'disabled' : ''}
+            onchange="UI.setProposalStatus('${p.id}', this.value)">
+            ${Store.PROPOSAL_STATUSES.map(s => `<option value="${s}" ${s === p.status ? 'selected' : ''}>${Proposal.STATUSES[s].icon} ${Proposal.STATUSES[s].label}</option>`).join('')}
+          </select>
+          ${p.deploymentId ? `<span style="font-family:var(--font-mono);color:var(--green)">→ ${p.deploymentId}</span>` : ''}
+          <button class="btn btn-secondary" title="Load into the form" onclick="UI.loadProposal('${p.id}')">📂</button>
+          <button class="btn btn-secondary" title="Print" onclick="UI.printProposal('${p.id}')">🖨️</button>
+          <button class="btn btn-secondary" title="Download" onclick="UI.downloadProposal('${p.id}')">⬇</button>
+        </div>
+      `;
+    }).join('');
+  },
+
+  renderPitchScenarios(pitch) {
+    const money = amount => Currency.show(amount, pitch.currency);
+    const pct = n => `${Math.round(n * 100)}%`;
+    const signed = n => `${n > 0 ? '+' : ''}${Math.round(n * 100)}%`;
+    const payback = p => p.breakevenDays === null ? '—' : `${p.breakevenDays}d`;
+    const cell = 'padding:6px 8px;border-bottom:1px solid var(--border)';
+    const heading = 'font-size:0.75rem;text-transform:uppercase;letter-spacing:0.1em;color:var(--text-muted);margin-bottom:12px';
+    const scenarios = PitchGenerator.scenarios(pitch);
+    const rows = [
+      ['Daily rate', p => money(p.perRobotDay)],
+      ['Utilisation', p => pct(p.utilisation)],
+      ['Monthly boss income', p => money(p.monthlyBossIncome)],
+      ['Yearly gross', p => money(p.gross)],
+      ['Boss ROI', p => p.roiPercent === null ? '—' : `${p.roiPercent}%`],
+      ['MECHA-OS payback', payback]
+    ];
+    const valueOf = {
+      rate: r => money(r.value),
+      utilisation: r => pct(r.value),
+      robots: r => r.value
+    };
+    const deltaOf = {
+      rate: r => signed(r.delta),
+      utilisation: r => signed(r.delta),
+      robots: r => r.delta > 0 ? `+${r.delta}` : r.delta
+    };
+
+    return `
+      <div style="text-align:left;margin-top:24px">
+        <div style="${heading}">Scenarios</div>
+        <div style="overflow-x:auto">
+          <table style="width:100%;border-collapse:collapse;font-size:0.8rem">
+            <thead>
+              <tr style="color:var(--text-muted);font-size:0.7rem;text-transform:uppercase;letter-spacing:0.08em">
+                <th style="${cell};text-align:left"></th>
+                ${scenarios.map(sc => `<th style="${cell};text-align:right;${sc.key === 'base' ? 'color:var(--amber)' : ''}">${sc.label}<div style="text-transform:none;letter-spacing:0">${sc.key === 'base' ? 'as projected' : `rate ${signed(sc.rate)} · util ${signed(sc.utilisationDelta)}`}</div></th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map(([label, fn]) => `
+                <tr>
+                  <td style="${cell};color:var(--text-secondary)">${label}</td>
+                  ${scenarios.map(sc => `<td style="${cell};text-align:right;font-family:var(--font-mono);${sc.key === 'base' ? 'color:var(--amber)' : ''}">${fn(sc)}</td>`).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style="text-align:left;margin-top:24px">
+        <div style="${heading}">Sensitivity — one variable at a time</div>
+        <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(240px,1fr));gap:16px">
+          ${PitchGenerator.sensitivity(pitch).map(t => `
+            <table style="width:100%;border-collapse:collapse;font-size:0.78rem">
+              <thead>
+                <tr style="color:var(--text-muted);font-size:0.68rem;text-transform:uppercase;letter-spacing:0.08em">
+                  <th style="${cell};text-align:left">${t.label}</th>
+                  <th style="${cell};text-align:right">Boss / mo</th>
+                  <th style="${cell};text-align:right">ROI</th>
+                  <th style="${cell};text-align:right">Payback</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${t.rows.map(r => `
+                  <tr style="${r.delta === 0 ? 'color:var(--amber)' : ''}">
+                    <td style="${cell};font-family:var(--font-mono)">${valueOf[t.variable](r)} <span style="color:var(--text-muted)">${r.delta === 0 ? 'base' : deltaOf[t.variable](r)}</span></td>
+                    <td style="${cell};text-align:right;font-family:var(--font-mono)">${money(r.monthlyBossIncome)}</td>
+                    <td style="${cell};text-align:right;font-family:var(--font-mono)">${r.roiPercent === null ? '—' : `${r.roiPercent}%`}</td>
+                    <td style="${cell};text-align:right;font-family:var(--font-mono)">${payback(r)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  },
+
+  renderPitchEvidence(pitch) {
+    if (pitch.comparables.length === 0) return '';
+    const money = amount => Currency.show(amount, pitch.currency);
+    const cell = 'padding:8px;border-bottom:1px solid var(--border)';
+    return `
+      <div style="text-align:left;margin-top:24px">
+        <div style="font-size:0.75rem;text-transform:uppercase;letter-spacing:0.1em;color:var(--text-muted);margin-bottom:12px">
+          Evidence — comparable deployments${pitch.daysToRevenue !== null ? ` · median ${pitch.daysToRevenue} days to first revenue` : ''}
+        </div>
+        <div style="overflow-x:auto">
+          <table style="width:100%;border-collapse:collapse;font-size:0.8rem">
+            <thead>
+              <tr style="color:var(--text-muted);font-size:0.7rem;text-transform:uppercase;letter-spacing:0.08em">
+                <th style="${cell};text-align:left">Factory</th>
+                <th style="${cell};text-align:left">Station</th>
+                <th style="${cell};text-align:right">Robots</th>
+                <th style="${cell};text-align:right">Earned</th>
+                <th style="${cell};text-align:right">Per Robot-Day</th>
+                <th style="${cell};text-align:right">Uptime</th>
+                <th style="${cell};text-align:right">Days to Revenue</th>
+                <th style="${cell};text-align:right">Seed Quality</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${pitch.comparables.map(e => `
+                <tr style="${e.status === 'decommissioned' ? 'opacity:0.5' : ''}">
+                  <td style="${cell}">${escapeHtml(e.factory)} <span style="color:var(--text-muted);font-family:var(--font-mono)">${e.id}</span></td>
+                  <td style="${cell}">${escapeHtml(e.workStation)}</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono)">${e.robots}</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono);color:var(--amber)">${money(e.gross)}</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono)">${money(e.perRobotDay)}</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono)">${Math.round(e.utilisation * 100)}%</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono)">${e.daysToRevenue ?? '—'}</td>
+                  <td style="${cell};text-align:right;font-family:var(--font-mono)">${e.seedQuality === null ? '—' : `${e.seedQuality.toFixed(2)} (${e.seeds})`}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
         </div>
       </div>
     `;
@@ -980,7 +3894,7 @@ const Toast = {
     if (!container) return;
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
-    toast.innerHTML = `<span class="toast-icon">${icon}</span><span>${message}</span>`;
+    toast.innerHTML = `<span class="toast-icon">${icon}</span><span>${escapeHtml(message)}</span>`;
     container.appendChild(toast);
     setTimeout(() => toast.remove(), 4000);
   },
@@ -1035,25 +3949,31 @@ function copyPitchToClipboard() {
   const pitchOutput = document.getElementById('pitch-output');
   if (!pitchOutput) return;
 
-  const factoryName = document.getElementById('pitch-factory')?.value || 'Factory';
-  const robotCount = parseInt(document.getElementById('pitch-robots')?.value) || 10;
-  const workStation = document.getElementById('pitch-station')?.value || 'Welding';
-  const pitch = PitchGenerator.generate(factoryName, robotCount, workStation);
+  const pitch = UI.currentPitch();
+  const { factory: factoryName, workStation, robotCount } = pitch;
+  const money = amount => Currency.show(amount, pitch.currency);
 
   const text = `🤖 MECHA-OS Deployment Proposal
 ${factoryName} · ${workStation} Station · ${robotCount} Robots
 
-💰 Projected Monthly Income (Boss Take): $${pitch.monthlyBossIncome.toLocaleString()}/mo
-📊 Yearly Gross: $${pitch.yearlyGross.toLocaleString()}
-🟢 Boss Take (70%): $${pitch.yearlyBossTake.toLocaleString()}
-🔵 MECHA-OS (30%): $${pitch.yearlyMechaOsCut.toLocaleString()}
+💰 Projected Monthly Income (Boss Take): ${money(pitch.monthlyBossIncome)}/mo
+📊 Yearly Gross: ${money(pitch.yearlyGross)}
+🟢 Boss Take: ${money(pitch.yearlyBossTake)}
+🔵 MECHA-OS: ${money(pitch.yearlyMechaOsCut)}
 🧬 Seed Quality Projection: ${pitch.projectedSeedQuality.toFixed(2)}
+📐 Boss ROI: ${pitch.roiPercent === null ? '—' : `${pitch.roiPercent}%`} of replaced labour · MECHA-OS payback: ${pitch.breakevenDays === null ? 'never' : `${pitch.breakevenDays} days`}
 
-📈 Desire Timeline:
-${pitch.desireTimeline.map(t => `  W${t.week}: ${t.event}`).join('\n')}
+🎯 Scenarios (monthly boss income):
+${PitchGenerator.scenarios(pitch).map(sc => `  ${sc.label}: ${money(sc.monthlyBossIncome)} — ${money(sc.perRobotDay)}/robot-day at ${Math.round(sc.utilisation * 100)}% utilisation`).join('\n')}
+${pitch.comparables.length ? `
+🏭 Evidence (${pitch.comparables.length} comparable deployment${pitch.comparables.length === 1 ? '' : 's'}):
+${pitch.comparables.map(e => `  ${e.factory} — ${e.robots} robots · earned ${money(e.gross)} · ${money(e.perRobotDay)}/robot-day · ${e.daysToRevenue ?? '?'} days to first revenue`).join('\n')}
+` : ''}
+📈 Desire Timeline${pitch.timelineSource === 'playbook' ? ' (playbook)' : ''}:
+${pitch.desireTimeline.map(t => `  W${t.week}: ${t.event}${t.seen ? ` (${t.seen}/${t.of} factories)` : ''}`).join('\n')}
 
 机器人出去上班 · 替老闆賺錢
-Robots go to work. Boss makes money. You take 30%.`;
+Robots go to work. Boss makes money. You take ${Math.round(pitch.basis.cut * 100)}%.`;
 
   navigator.clipboard.writeText(text).then(() => {
     Toast.success('Proposal copied to clipboard!', '📋');
@@ -1062,6 +3982,28 @@ Robots go to work. Boss makes money. You take 30%.`;
   });
 }
 
+// ===========================
+// HTML Escaping
+// ===========================
+// For user text placed into innerHTML and the generated invoice / proposal pages
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// ===========================
+// File Download
+// ===========================
+function downloadFile(filename, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 // ===========================
 // Bootstrap
 // ===========================
@@ -1069,7 +4011,7 @@ document.addEventListener('DOMContentLoaded', () => {
   UI.init();
 
   // Pitch form live update
-  ['pitch-factory', 'pitch-robots', 'pitch-station'].forEach(id => {
+  ['pitch-factory', 'pitch-robots', 'pitch-type', 'pitch-station', 'pitch-robot-price', 'pitch-financing', 'pitch-salary'].forEach(id => {
     document.getElementById(id)?.addEventListener('input', () => UI.renderPitch());
   });
 
@@ -1080,5 +4022,17 @@ document.addEventListener('DOMContentLoaded', () => {
   Bus.on('data:seeded', (data) => {
     Toast.info(`Loaded ${data.count} factory deployments`, '📦');
   });
+  Bus.on('data:migrated', (data) => {
+    Toast.info(`Upgraded saved data to schema v${data.version}`, '🧬');
+  });
+  Bus.on('desire:force_touch', (overdue) => {
+    Toast.warning(`FORCE_TOUCH — bosses left too long without contact: ${overdue.map(d => d.factory?.name || d.id).join(', ')}`, '🚨');
+  });
+  Bus.on('data:error', (data) => {
+    Toast.warning(`Saving failed: ${data.error}`, '⛔');
+  });
+  Bus.on('data:blocked', () => {
+    Toast.warning('Changes not saved — stored data is from a newer version', '⛔');
+  });
 });
 
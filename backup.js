@@ -0,0 +1,103 @@
+/**
+ * Backup — JSON export, restore and merge for the Store
+ *
+ * Export writes the whole localStorage dataset to a versioned file.
+ * Import validates the file and upgrades older schema versions through
+ * Migrations, then either replaces everything or merges it into the
+ * current data so two field engineers can combine their work: deployments,
+ * seeds, lessons and proposals are de-duplicated by id and the most
+ * recently updated copy wins (RecordMerge, merge.js).
+ */
+
+const Backup = {
+  FORMAT: 'mecha-dash-backup',
+  FORMAT_VERSION: 1,
+  COLLECTIONS: ['deployments', 'seeds', 'lessons', 'invoices', 'proposals'],
+
+  build() {
+    const data = Store.get();
+    return {
+      format: this.FORMAT,
+      formatVersion: this.FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      data
+    };
+  },
+
+  export() {
+    const backup = this.build();
+    const stamp = backup.exportedAt.slice(0, 10);
+    downloadFile(`mecha-dash-backup-${stamp}.json`, JSON.stringify(backup, null, 2));
+    return backup;
+  },
+
+  // Returns a list of problems; empty means the file is safe to import
+  validate(backup) {
+    const errors = [];
+    if (!backup || typeof backup !== 'object') return ['File is not a JSON object'];
+    if (backup.format !== this.FORMAT) errors.push(`Not a MECHA-DASH backup (format "${backup.format}")`);
+    if (backup.formatVersion > this.FORMAT_VERSION) {
+      errors.push(`Backup format v${backup.formatVersion} is newer than this dashboard supports (v${this.FORMAT_VERSION})`);
+    }
+
+    const data = backup.data;
+    if (!data || typeof data !== 'object') return [...errors, 'Missing "data" section'];
+    if (data.version && Migrations.compare(data.version, Migrations.CURRENT) > 0) {
+      errors.push(`Data schema v${data.version} is newer than this dashboard (v${Migrations.CURRENT})`);
+    }
+    this.COLLECTIONS.forEach(key => {
+      if (data[key] !== undefined && !Array.isArray(data[key])) errors.push(`"${key}" must be a list`);
+    });
+    if (!Array.isArray(data.deployments)) errors.push('"deployments" list is required');
+
+    (Array.isArray(data.deployments) ? data.deployments : []).forEach((d, i) => {
+      const label = `deployments[${i}]`;
+      if (!d || typeof d !== 'object') { errors.push(`${label} is not an object`); return; }
+      if (typeof d.id !== 'string' || !d.id) errors.push(`${label} has no id`);
+      if (!d.factory || typeof d.factory !== 'object') errors.push(`${label} has no factory`);
+      if (!Number.isFinite(d.robots?.count)) errors.push(`${label} has no robot count`);
+      if (isNaN(Date.parse(d.createdAt))) errors.push(`${label} has an invalid createdAt`);
+    });
+    ['seeds', 'lessons', 'proposals'].forEach(key => {
+      (data[key] || []).forEach((x, i) => {
+        if (!x || typeof x.id !== 'string') errors.push(`${key}[${i}] has no id`);
+      });
+    });
+    (data.invoices || []).forEach((x, i) => {
+      if (!x || typeof x.number !== 'string') errors.push(`invoices[${i}] has no number`);
+    });
+    return errors;
+  },
+
+  // Same rules as the bridge's sync merge — see merge.js
+  merge(current, incoming) {
+    const { data, report } = RecordMerge.merge(current, incoming);
+    return { data, report };
+  },
+
+  // mode: 'replace' | 'merge'
+  import(backup, mode = 'merge') {
+    const errors = this.validate(backup);
+    if (errors.length) return { ok: false, errors };
+    const migrated = Migrations.run(backup.data);
+    if (migrated.error) return { ok: false, errors: [migrated.error] };
+
+    if (mode === 'replace') {
+      Store.replaceAll(backup.data);
+      return { ok: true, mode, report: { deployments: { added: backup.data.deployments.length, updated: 0 } } };
+    }
+    const { data, report } = this.merge(Store.get(), backup.data);
+    Store.replaceAll(data);
+    return { ok: true, mode, report };
+  },
+
+  async importFile(file, mode) {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      return { ok: false, errors: ['File is not valid JSON'] };
+    }
+    return this.import(backup, mode);
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * Engagement Calendar — the week's planned boss touches across deployments
+ *
+ * Plans forward from each deployment's last logged touch with the Desire
+ * Engine rules for its factory type: no touch inside the SKIP window, a
+ * touch on or before the FORCE_TOUCH deadline, and no new cue while the
+ * PAUSE rule's open-loop limit is reached. Touches already logged in the
+ * week are shown alongside the plan. The plan exports as an iCalendar file
+ * for Google / Outlook / Apple.
+ */
+
+const EngageCalendar = {
+  CADENCE_DAYS: 3, // preferred gap between touches when nothing forces one
+  DAY: 86400000,
+
+  _iso(day) {
+    return new Date(day * this.DAY).toISOString().slice(0, 10);
+  },
+
+  // Day number of the Monday starting the week `offset` weeks from today
+  weekStart(offset = 0, now = new Date()) {
+    const today = Uptime._day(now.toISOString());
+    const weekday = (new Date(today * this.DAY).getUTCDay() + 6) % 7; // Monday = 0
+    return today - weekday + offset * 7;
+  },
+
+  // Planned touches for one deployment between day numbers [from, to]
+  _planDeployment(d, from, to, today) {
+    const ds = { ...DesireEngine.current(d) };
+    const rules = DesireEngine.rulesFor(d.factory?.type);
+    const { skipDays, forceDays } = DesireEngine.spacing(rules);
+    const maxLoops = DesireEngine.maxLoops(rules);
+    const planned = [];
+    let last = Uptime._day(DesireEngine.lastTouchAt(d));
+    let level = ds.anticipation_level;
+    let rotation = ds.content_rotation || 'insight';
+
+    while (true) {
+      const earliest = Math.max(last + Math.floor(skipDays) + 1, today);
+      const deadline = last + Math.max(1, Math.ceil(forceDays));
+      const day = Math.max(Math.min(last + this.CADENCE_DAYS, deadline), earliest);
+      if (day > to) break;
+
+      level = Math.max(0, level - (day - Math.max(last, today)) * DesireEngine.DECAY_PER_DAY);
+      const sim = { ...ds, days_since_touch: day - last, anticipation_level: level };
+      const next = DesireEngine.getNextAction(sim, rules).find(a => a.action !== 'SKIP' && a.action !== 'PAUSE') ||
+        { action: 'MAINTAIN', reason: 'Max open loops reached — nurture, don\'t open new ones', priority: 'medium' };
+
+      if (day >= from) {
+        planned.push({
+          deploymentId: d.id,
+          factory: d.factory?.name || d.id,
+          date: this._iso(day),
+          action: next.action,
+          reason: next.reason,
+          priority: next.priority,
+          contentType: rotation,
+          deadline: this._iso(deadline),
+          overdue: day > deadline
+        });
+      }
+
+      // Play the touch forward so the next one is planned from it
+      if (next.action === 'PLANT_CUE' && ds.open_loops < maxLoops) {
+        ds.open_loops++;
+        level = Math.min(10, level + 2);
+      } else {
+        if (ds.open_loops > 0) ds.open_loops--;
+        level = Math.max(0, level - 3);
+      }
+      const idx = DesireEngine.CONTENT_TYPES.indexOf(rotation);
+      rotation = DesireEngine.CONTENT_TYPES[(idx + 1) % DesireEngine.CONTENT_TYPES.length];
+      last = day;
+    }
+    return planned;
+  },
+
+  // → { from, to, days: [{ date, planned: [...], logged: [...] }] }
+  plan(deployments, offset = 0, now = new Date()) {
+    const start = this.weekStart(offset, now);
+    const end = start + 6;
+    const today = Uptime._day(now.toISOString());
+    const active = deployments.filter(d => Store.isActive(d));
+
+    const planned = end < today ? [] : active.flatMap(d => this._planDeployment(d, start, end, today));
+    const logged = deployments.flatMap(d => (d.touches || [])
+      .filter(t => !t.inferred && Uptime._day(t.at) >= start && Uptime._day(t.at) <= end)
+      .map(t => ({ ...t, deploymentId: d.id, factory: d.factory?.name || d.id, date: t.at.slice(0, 10) })));
+
+    const days = Uptime._between(start, end).map(day => {
+      const date = this._iso(day);
+      return {
+        date,
+        isToday: day === today,
+        planned: planned.filter(p => p.date === date),
+        logged: logged.filter(t => t.date === date)
+      };
+    });
+    return { from: this._iso(start), to: this._iso(end), days };
+  },
+
+  // --- iCalendar (RFC 5545) ---
+  _icsText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  },
+
+  // Lines longer than 75 octets continue on the next line after a space
+  _fold(line) {
+    const encoder = new TextEncoder();
+    const parts = [''];
+    let octets = 0;
+    for (const ch of line) {
+      const size = encoder.encode(ch).length;
+      if (octets + size > 74) {
+        parts.push(' ');
+        octets = 1;
+      }
+      parts[parts.length - 1] += ch;
+      octets += size;
+    }
+    return parts.join('\r\n');
+  },
+
+  toICS(plan) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const compact = iso => iso.replace(/-/g, '');
+    const events = plan.days.flatMap(day => day.planned).map(p => {
+      const next = this._iso(Uptime._day(p.date) + 1);
+      return [
+        'BEGIN:VEVENT',
+        `UID:${p.deploymentId}-${compact(p.date)}@mecha-dash`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compact(p.date)}`,
+        `DTEND;VALUE=DATE:${compact(next)}`,
+        `SUMMARY:${this._icsText(`${p.action === 'FORCE_TOUCH' ? '🚨 ' : ''}${p.factory} — ${p.action} (${p.contentType})`)}`,
+        `DESCRIPTION:${this._icsText(`${p.reason}\nFORCE_TOUCH deadline: ${p.deadline}`)}`,
+        'END:VEVENT'
+      ];
+    });
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//MECHA-OS//MECHA-DASH Engagement Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:MECHA-DASH touches ${plan.from}`,
+      ...events.flat(),
+      'END:VCALENDAR'
+    ].map(line => this._fold(line)).join('\r\n') + '\r\n';
+  },
+
+  download(plan) {
+    downloadFile(`mecha-engage-${plan.from}.ics`, this.toICS(plan), 'text/calendar');
+  }
+};
@@ -9,6 +9,13 @@
  *   - threat: email signals risk to existing deployment
  *   - insight: email reveals pattern useful for compound learning
  *   - engagement: email interaction relevant to boss engagement loop
+ *
+ * Engagement, threat and insight signals can be applied to their deployment
+ * while it is active (touch, risk flag, seed harvest); see apply(). A signal
+ * without a deploymentId is attributed through the CustomerRegistry by its
+ * sender. An engagement signal may carry the boss's `reaction`
+ * (DesireEngine.REACTIONS); an insight signal names the planted seed it
+ * harvests in `seedId`.
  */
 
 const EmailBridge = {
@@ -36,6 +43,7 @@ const EmailBridge = {
             subject: '焊接機器人第二個月報告',
             insight: 'Boss requesting monthly report — trust building phase, ideal for partial reward delivery',
             deploymentId: 'd002',
+            reaction: 'hooked',
             timestamp: '2026-02-21T14:30:00.000Z',
             actionable: true
         },
@@ -47,6 +55,7 @@ const EmailBridge = {
             subject: '自動焊接品質數據 Week 8',
             insight: 'Welding quality up 22% vs human baseline — compound this into seed',
             deploymentId: 'd001',
+            seedId: 's003',
             timestamp: '2026-02-21T08:00:00.000Z',
             actionable: false
         },
@@ -80,6 +89,7 @@ const EmailBridge = {
             subject: '包裝線效率提升感謝信',
             insight: 'Thank-you email from manager — boss satisfaction confirmed, advance desire stage',
             deploymentId: 'd004',
+            reaction: 'positive',
             timestamp: '2026-02-18T10:00:00.000Z',
             actionable: false
         }
@@ -105,8 +115,82 @@ const EmailBridge = {
         return this.signals;
     },
 
+    // What applying a signal does to its deployment, per signal type
+    APPLIES: {
+        engagement: 'Log as touch',
+        threat: 'Raise risk flag',
+        insight: 'Harvest into seed'
+    },
+
+    // The export's own link wins; otherwise the sender decides
+    deploymentIdOf(signal) {
+        if (signal.deploymentId) return signal.deploymentId;
+        return typeof CustomerRegistry === 'undefined' ? null : CustomerRegistry.match(signal.source);
+    },
+
+    _deployment(signal) {
+        const id = this.deploymentIdOf(signal);
+        return id ? Store.getDeployments().find(d => d.id === id) : undefined;
+    },
+
+    // The planted seed an insight signal names; insights never pick a seed themselves
+    _seed(signal, d) {
+        return Store.getSeeds(d.id).find(s => s.id === signal.seedId && s.status === 'planted') || null;
+    },
+
+    applied(signal) {
+        return (this._deployment(signal)?.appliedSignals || []).find(a => a.id === signal.id) || null;
+    },
+
+    canApply(signal) {
+        const d = this._deployment(signal);
+        return !!this.APPLIES[signal.type] && !!d && Store.isActive(d) && !this.applied(signal) &&
+            (signal.type !== 'insight' || !!this._seed(signal, d));
+    },
+
+    // Engagement → touch, threat → risk flag, insight → seed harvest.
+    // Each signal is applied at most once.
+    apply(signalId) {
+        const signal = this.signals.find(s => s.id === signalId);
+        if (!signal) return { error: 'Signal not found' };
+        if (!this.APPLIES[signal.type]) return { error: `${signal.type} signals don't change deployments` };
+        const d = this._deployment(signal);
+        if (!d) return { error: 'Signal is not linked to a known deployment' };
+        if (!Store.isActive(d)) return { error: `Deployment is ${d.status} — resume it first` };
+        if (this.applied(signal)) return { error: 'Signal was already applied' };
+
+        let ref;
+        if (signal.type === 'engagement') {
+            ref = Store.addTouch(d.id, {
+                at: signal.timestamp || new Date().toISOString(),
+                channel: 'email',
+                contentType: d.desireState?.content_rotation,
+                reaction: DesireEngine.REACTIONS[signal.reaction] ? signal.reaction : 'neutral',
+                notes: `${signal.subject} — ${signal.insight}`,
+                signalId: signal.id
+            }).id;
+        } else if (signal.type === 'threat') {
+            ref = Store.addRisk(d.id, {
+                source: signal.source,
+                subject: signal.subject,
+                note: signal.insight,
+                zone: signal.zone,
+                raisedAt: signal.timestamp || new Date().toISOString(),
+                signalId: signal.id
+            }).id;
+        } else {
+            const seed = this._seed(signal, d);
+            if (!seed) return { error: 'Insight signal names no planted seed of this deployment' };
+            Store.harvestSeed(seed.id, [signal.insight]);
+            ref = seed.id;
+        }
+
+        Store.markSignalApplied(d.id, { id: signal.id, type: signal.type, ref });
+        return { ok: true, type: signal.type, ref };
+    },
+
     getByDeployment(deploymentId) {
-        return this.signals.filter(s => s.deploymentId === deploymentId);
+        return this.signals.filter(s => this.deploymentIdOf(s) === deploymentId);
     },
 
     getActionable() {
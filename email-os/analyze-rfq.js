@@ -11,6 +11,7 @@
  */
 import { readFileSync } from 'node:fs';
 import ClassifyAgent from './src/agents/classify.js';
+import { loadRegistry, deploymentForDomain } from './src/registry.js';
 
 const config = JSON.parse(readFileSync('config.json', 'utf8'));
 const TUNNEL = 'https://associations-sending-vice-brandon.trycloudflare.com';
@@ -31,13 +32,19 @@ const RFQ_PATTERNS = [
     '訂單', '跟催', '催貨', '追蹤'
 ];
 
-// Business relationship signals
-const BIZ_DOMAINS = [
-    'cfprec.com.tw',     // 群豐精密 — active supplier/customer
-    'misumi-tw.com.tw',  // 三住 — parts supplier
-    'bytetcm.com',       // Own domain
-    'jjengitech.com',    // RFQ sender
-];
+// Business relationship signals — customer domains registered in MECHA-DASH
+// (DEPLOY → Customer Registry → data/customers.json), plus the suppliers and
+// partners listed in config.json. The inbox owner's own domain never counts.
+const registry = loadRegistry(config.dashboard?.registryPath);
+const ownDomains = config.relationships?.ownDomains || [];
+const partners = config.relationships?.partners || [];
+const matchesDomain = (domain, key) => domain === key || domain.endsWith(`.${key}`);
+const bizLabel = (domain) => {
+    const host = String(domain || '').toLowerCase();
+    if (!host || ownDomains.some(d => matchesDomain(host, d))) return null;
+    return deploymentForDomain(host, registry) || partners.find(p => matchesDomain(host, p.domain))?.name || null;
+};
+const isBizDomain = (domain) => bizLabel(domain) !== null;
 
 async function askMecha(message) {
     try {
@@ -77,12 +84,12 @@ for (const email of emails) {
             patterns: matchedPatterns,
             score: matchedPatterns.length * 10,
             domain,
-            isBizDomain: BIZ_DOMAINS.includes(domain)
+            isBizDomain: isBizDomain(domain)
         });
     }
 
     // Check business domains
-    if (BIZ_DOMAINS.includes(domain)) {
+    if (isBizDomain(domain)) {
         bizHits.push({ email, domain });
     }
 }
@@ -96,7 +103,7 @@ console.log(`   🏭 Business domain emails: ${bizHits.length} emails\n`);
 
 // Step 2: Classify RFQ emails
 console.log(`═══ STEP 2: Classify RFQ Emails ═══\n`);
-const classify = new ClassifyAgent(config.agents.classify);
+const classify = new ClassifyAgent({ ...config.agents.classify, registry });
 const rfqEmails = rfqHits.map(h => h.email);
 const classified = await classify.batchClassify(rfqEmails);
 
@@ -144,7 +151,7 @@ const topRfqSenders = [...rfqSenderMap.entries()].sort((a, b) => b[1].count - a[
 console.log('   RFQ Senders (Wisdom Pillar 4: Relationships Compound):');
 for (const [domain, { count, name, subjects }] of topRfqSenders.slice(0, 15)) {
     const bar = '█'.repeat(Math.min(20, count * 2));
-    const isBiz = BIZ_DOMAINS.includes(domain) ? ' ⭐' : '';
+    const isBiz = isBizDomain(domain) ? ` ⭐ ${bizLabel(domain)}` : '';
     console.log(`   ${bar} ${String(count).padStart(3)}x  ${domain}${isBiz}`);
     console.log(`   ${''.padEnd(20)}        ${name || ''} — ${subjects[0]?.slice(0, 40) || ''}`);
 }
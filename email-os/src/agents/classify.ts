@@ -16,7 +16,8 @@ import { desc } from 'drizzle-orm';
 import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
-import type { Email, Classification, Zone, Signal, ClassifyMethod, AgentConfig } from '../types.js';
+import { deploymentFor, EMPTY_REGISTRY } from '../registry.js';
+import type { Email, Classification, Zone, Signal, ClassifyMethod, AgentConfig, CustomerRegistry } from '../types.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -171,6 +172,7 @@ type SignalArray = ClassifySignal[] & { _forcedZone?: Zone };
 class ClassifyAgent {
     private confidenceThreshold: number;
     private vipSenders: Set<string>;
+    private registry: CustomerRegistry;
     private senderHistory: Map<string, number> = new Map();
     private subjectHistory: Map<string, number> = new Map();
     private classifications: Classification[] = [];
@@ -179,9 +181,10 @@ class ClassifyAgent {
     stats: { keyword: number; llm: number; fallback: number } = { keyword: 0, llm: 0, fallback: 0 };
     negativeStats: Record<string, number> = { newsletter: 0, seasonal: 0, auto_notif: 0, marketing: 0, duplicate: 0, vip_override: 0 };
 
-    constructor(options: AgentConfig & { vipSenders?: string[]; confidenceThreshold?: number } = {}) {
+    constructor(options: AgentConfig & { vipSenders?: string[]; confidenceThreshold?: number; registry?: CustomerRegistry } = {}) {
         this.confidenceThreshold = options.confidenceThreshold || config.agents.classify.confidenceThreshold;
         this.vipSenders = new Set(options.vipSenders || []);
+        this.registry = options.registry || EMPTY_REGISTRY;
 
         try {
             this.llm = createProviderFromEnv();
@@ -290,7 +293,8 @@ class ClassifyAgent {
 
     _makeResult(email: Email, zone: Zone, score: number, confidence: number, signals: ClassifySignal[], method: ClassifyMethod, reasoning: string | null = null): Classification {
         const result: Classification = {
-            emailId: email.id, threadId: email.threadId, zone, score, confidence,
+            emailId: email.id, threadId: email.threadId,
+            deploymentId: deploymentFor(email.from?.email || '', this.registry), zone, score, confidence,
             signals: signals as Signal[], reasoning: reasoning || this.generateReasoning(signals, zone),
             method, timestamp: new Date().toISOString()
         };
@@ -413,6 +417,10 @@ class ClassifyAgent {
             signals.push({ type: 'vip-sender', email: senderEmail });
         }
 
+        // Customer of a MECHA-DASH deployment (data/customers.json)
+        const deploymentId = deploymentFor(senderEmail, this.registry);
+        if (deploymentId) signals.push({ type: 'customer', email: senderEmail, source: deploymentId });
+
         if (email.isImportant) signals.push({ type: 'gmail-important' });
         if (email.isStarred) signals.push({ type: 'gmail-starred' });
         if (email.inReplyTo) signals.push({ type: 'thread-reply' });
@@ -436,6 +444,7 @@ class ClassifyAgent {
                 case 'urgency':
                     score += signal.level === 'high' ? 25 : signal.level === 'medium' ? 10 : -5; break;
                 case 'vip-sender': score += 15; break;
+                case 'customer': score += 10; break;
                 case 'gmail-important': score += 5; break;
                 case 'gmail-starred': score += 15; break;
                 case 'thread-reply': score += 10; break;
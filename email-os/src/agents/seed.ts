@@ -209,6 +209,14 @@ class SeedAgent {
             });
     }
 
+    async getAll(): Promise<Seed[]> {
+        if (isDbAvailable() && db) {
+            try { return await db.select().from(seedsTable) as unknown as Seed[]; }
+            catch { /* fallback */ }
+        }
+        return [...this.seeds];
+    }
+
     async getStats(): Promise<SeedStats> {
         if (isDbAvailable() && db) {
             try {
@@ -9,6 +9,7 @@
  *   tsx src/index.ts --digest    # Show thread intelligence digest
  *   tsx src/index.ts --seeds     # Show active seeds
  *   tsx src/index.ts --stats     # Show bus + agent stats
+ *   tsx src/index.ts --signals   # Export signals for MECHA-DASH
  */
 
 import { getAuthClient } from './gmail/auth.js';
@@ -20,6 +21,8 @@ import SeedAgent from './agents/seed.js';
 import SuggestAgent from './agents/suggest.js';
 import InsightAgent from './agents/insight.js';
 import MirrorAgent from './agents/mirror.js';
+import { buildSignals, writeSignals } from './signals.js';
+import { loadRegistry } from './registry.js';
 import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
@@ -29,6 +32,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT = join(__dirname, '..');
 const config = JSON.parse(readFileSync(join(ROOT, 'config.json'), 'utf8'));
+const registry = loadRegistry(config.dashboard?.registryPath);
 
 const args = process.argv.slice(2);
 const mode = args[0] || '--sync';
@@ -39,10 +43,16 @@ async function main(): Promise<void> {
     console.log('\n📧 Email OS v1.0.0');
     console.log('   Every inbox is a signal field.\n');
 
+    // Works from stored seeds / insights only — no Gmail login needed
+    if (mode === '--signals') {
+        await exportSignals();
+        return;
+    }
+
     const authClient = await getAuthClient();
 
     const ingest = new IngestAgent(authClient, config.agents.ingest);
-    const classify = new ClassifyAgent(config.agents.classify);
+    const classify = new ClassifyAgent({ ...config.agents.classify, registry });
     const seed = new SeedAgent();
     const suggest = new SuggestAgent(config.agents.suggest);
     const insight = new InsightAgent();
@@ -74,7 +84,7 @@ async function main(): Promise<void> {
             await runEscalation(seed);
             break;
         default:
-            console.log('Usage: email-os [--sync|--triage|--digest|--seeds|--stats|--escalate]');
+            console.log('Usage: email-os [--sync|--triage|--digest|--seeds|--stats|--escalate|--signals]');
     }
 }
 
@@ -269,6 +279,36 @@ async function runEscalation(seed: SeedAgent): Promise<void> {
     }
 }
 
+async function exportSignals(): Promise<void> {
+    console.log('📡 Exporting dashboard signals...\n');
+    const dashboard = config.dashboard || {};
+    const seed = new SeedAgent();
+    const insight = new InsightAgent();
+    const classify = new ClassifyAgent({ ...config.agents.classify, registry });
+    await seed.init();
+    await insight.init();
+
+    const signals = buildSignals({
+        seeds: await seed.getAll(),
+        classifications: await classify.getLog(),
+        insights: await insight.getRecentInsights(500)
+    }, registry);
+
+    const path = join(ROOT, dashboard.signalsPath || 'data/signals.json');
+    writeSignals(signals, path);
+
+    const byType = signals.reduce<Record<string, number>>((acc, s) => {
+        acc[s.type] = (acc[s.type] || 0) + 1;
+        return acc;
+    }, {});
+    const unmapped = signals.filter(s => !s.deploymentId).length;
+    console.log(`   ${signals.length} signal(s) → ${path}`);
+    console.log(`   By type:`, byType);
+    console.log(`   Registry: ${registry.customers.length} customer(s)${registry.updatedAt ? `, exported ${registry.updatedAt.slice(0, 10)}` : ''}`);
+    if (unmapped) console.log(`   ${unmapped} opportunity(ies) from senders not in the customer registry`);
+    console.log();
+}
+
 main().catch(err => {
     console.error('Fatal:', (err as Error).message);
     process.exit(1);
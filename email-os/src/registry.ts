@@ -0,0 +1,62 @@
+/**
+ * Customer Registry — sender → MECHA-DASH deployment
+ *
+ * Reads the registry the dashboard exports (DEPLOY → Customer Registry →
+ * data/customers.json) so the classifier and the signal export attribute an
+ * email to the same deployment the dashboard would. Same lookup order as
+ * the dashboard's registry.js: a contact's exact address first, then the
+ * longest matching domain, subdomains included.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, isAbsolute } from 'node:path';
+import type { CustomerRegistry } from './types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, '..');
+
+export const EMPTY_REGISTRY: CustomerRegistry = { version: 1, updatedAt: null, customers: [] };
+
+/** Missing or unreadable file → empty registry; attribution just finds nothing */
+export function loadRegistry(path: string = '../data/customers.json'): CustomerRegistry {
+    const file = isAbsolute(path) ? path : join(ROOT, path);
+    if (!existsSync(file)) return EMPTY_REGISTRY;
+    try {
+        const data = JSON.parse(readFileSync(file, 'utf8'));
+        return { ...EMPTY_REGISTRY, ...data, customers: Array.isArray(data.customers) ? data.customers : [] };
+    } catch (err) {
+        console.warn(`   ⚠️  Customer registry unreadable (${file}): ${(err as Error).message}`);
+        return EMPTY_REGISTRY;
+    }
+}
+
+/** "陳先生 <chen@cfprec.com.tw>" → "chen@cfprec.com.tw" */
+export function senderAddress(text: string): string {
+    const match = String(text || '').toLowerCase().match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+    return match ? match[0] : '';
+}
+
+export function deploymentFor(sender: string, registry: CustomerRegistry): string | null {
+    const address = senderAddress(sender);
+    if (!address) return null;
+    const contact = registry.customers.find(c => (c.contacts || []).some(p => p.email.toLowerCase() === address));
+    return contact ? contact.deploymentId : deploymentForDomain(address.split('@')[1], registry);
+}
+
+/** Longest registered domain that equals or is a parent of `domain` */
+export function deploymentForDomain(domain: string, registry: CustomerRegistry): string | null {
+    const host = String(domain || '').toLowerCase();
+    if (!host) return null;
+    let best: { deploymentId: string; length: number } | null = null;
+    for (const c of registry.customers) {
+        for (const d of c.domains || []) {
+            const key = d.toLowerCase();
+            if ((host === key || host.endsWith(`.${key}`)) && (!best || key.length > best.length)) {
+                best = { deploymentId: c.deploymentId, length: key.length };
+            }
+        }
+    }
+    return best?.deploymentId || null;
+}
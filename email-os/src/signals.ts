@@ -0,0 +1,124 @@
+/**
+ * Dashboard Signals — email-os → MECHA-DASH export
+ *
+ * Converts seeds, classifications and insights into the signal format that
+ * the dashboard's EmailBridge reads from data/signals.json. Each email is
+ * attributed to a deployment through the dashboard's customer registry
+ * (see registry.ts). Unattributed opportunities are kept — they are leads
+ * for new deployments — everything else needs a deployment to act on.
+ */
+
+import { writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { deploymentFor } from './registry.js';
+import type {
+    Classification, Seed, Insight, Zone,
+    DashboardSignal, DashboardSignalType, CustomerRegistry, SignalExport
+} from './types.js';
+
+export const SIGNAL_EXPORT_VERSION = 1;
+
+// ─── Conversion ────────────────────────────────────────────
+
+function fromSeed(seed: Seed, registry: CustomerRegistry): DashboardSignal | null {
+    if (seed.status === 'harvested') return null;
+
+    let type: DashboardSignalType;
+    let insight: string;
+    if (seed.status === 'expired') {
+        type = 'threat';
+        insight = `${seed.type} seed expired without a response`;
+    } else if (seed.type === 'opportunity') {
+        type = 'opportunity';
+        insight = `Opportunity — respond before ${seed.expiresAt.slice(0, 10)}`;
+    } else if (seed.type === 'decision-needed' && seed.escalated) {
+        type = 'threat';
+        insight = 'Decision needed and escalated to red — respond today';
+    } else {
+        type = 'engagement';
+        insight = `${seed.type} — keep the thread warm`;
+    }
+
+    return {
+        id: `sig-seed-${seed.id}`,
+        type,
+        zone: type === 'threat' ? 'red' : seed.zone,
+        source: seed.sourceFrom,
+        subject: seed.sourceSubject,
+        insight,
+        deploymentId: deploymentFor(seed.sourceFrom, registry),
+        timestamp: seed.plantedAt,
+        actionable: seed.status === 'planted'
+    };
+}
+
+// The classifier attributes at classification time; older log entries fall
+// back to the sender of the seed planted in the same thread
+function fromClassification(c: Classification, sender: Seed | undefined, registry: CustomerRegistry): DashboardSignal | null {
+    const deploymentId = c.deploymentId ?? (sender ? deploymentFor(sender.sourceFrom, registry) : null);
+    if (!sender && !deploymentId) return null;
+    const urgent = c.signals.some(s => (s.type === 'urgency' && s.level === 'high') || s.type === 'action-required');
+    return {
+        id: `sig-cls-${c.emailId}`,
+        type: c.zone === 'red' && urgent ? 'threat' : 'engagement',
+        zone: c.zone,
+        source: sender?.sourceFrom || 'Email-OS — Classifier',
+        subject: sender?.sourceSubject || '',
+        insight: c.reasoning,
+        deploymentId,
+        timestamp: c.timestamp,
+        actionable: c.zone !== 'green'
+    };
+}
+
+const SEVERITY_ZONE: Record<string, Zone> = { critical: 'red', warning: 'yellow', info: 'green' };
+
+function fromInsight(i: Insight, sender: Seed | undefined, registry: CustomerRegistry): DashboardSignal {
+    return {
+        id: `sig-ins-${i.threadId}-${i.type}-${i.createdAt}`,
+        type: 'insight',
+        zone: SEVERITY_ZONE[i.severity] || 'green',
+        source: sender?.sourceFrom || 'Email-OS — Insight',
+        subject: sender?.sourceSubject || '',
+        insight: i.message,
+        deploymentId: sender ? deploymentFor(sender.sourceFrom, registry) : null,
+        timestamp: i.createdAt,
+        actionable: i.severity !== 'info'
+    };
+}
+
+/**
+ * Seeds are the only stored records that carry the sender, so insights find
+ * theirs through the seed planted for the same thread. An email that
+ * produced a seed is reported once, through that seed.
+ */
+export function buildSignals(
+    input: { seeds: Seed[]; classifications: Classification[]; insights: Insight[] },
+    registry: CustomerRegistry
+): DashboardSignal[] {
+    const byEmail = new Map(input.seeds.map(s => [s.emailId, s]));
+    const byThread = new Map(input.seeds.filter(s => s.threadId).map(s => [s.threadId as string, s]));
+
+    const signals = [
+        ...input.seeds.map(s => fromSeed(s, registry)),
+        ...input.classifications
+            .filter(c => !byEmail.has(c.emailId))
+            .map(c => fromClassification(c, c.threadId ? byThread.get(c.threadId) : undefined, registry)),
+        ...input.insights.map(i => fromInsight(i, byThread.get(i.threadId), registry))
+    ].filter((s): s is DashboardSignal => s !== null);
+
+    return signals
+        .filter(s => s.deploymentId !== null || s.type === 'opportunity')
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+export function writeSignals(signals: DashboardSignal[], path: string): SignalExport {
+    const output: SignalExport = {
+        version: SIGNAL_EXPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        signals
+    };
+    if (!existsSync(dirname(path))) mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(output, null, 2));
+    return output;
+}
@@ -47,6 +47,7 @@ export interface Signal {
 export interface Classification {
     emailId: string;
     threadId?: string;
+    deploymentId?: string | null;
     zone: Zone;
     score: number;
     confidence: number;
@@ -269,6 +270,76 @@ export interface AppConfig {
         mirror: AgentConfig;
     };
     seeds: SeedConfig;
+    dashboard?: DashboardConfig;
+    relationships?: RelationshipsConfig;
+}
+
+// ═══════════════════════════════════════
+// Dashboard Bridge (MECHA-DASH email-bridge.js)
+// ═══════════════════════════════════════
+
+export type DashboardSignalType = 'opportunity' | 'threat' | 'insight' | 'engagement';
+
+export interface DashboardSignal {
+    id: string;
+    type: DashboardSignalType;
+    zone: Zone;
+    source: string;
+    subject: string;
+    insight: string;
+    deploymentId: string | null;
+    timestamp: string;
+    actionable: boolean;
+    /** Boss reaction on an engagement signal (a DesireEngine.REACTIONS key); logged as neutral when absent */
+    reaction?: string;
+    /** Planted MECHA-DASH seed an insight signal harvests; without one the insight can't be applied */
+    seedId?: string;
+}
+
+export interface SignalExport {
+    version: number;
+    generatedAt: string;
+    signals: DashboardSignal[];
+}
+
+/** One factory's senders, as exported by MECHA-DASH (data/customers.json) */
+export interface CustomerContact {
+    name: string;
+    email: string;
+    role: string;
+}
+
+export interface CustomerEntry {
+    deploymentId: string;
+    factory: string;
+    factoryType?: string;
+    domains: string[];
+    contacts: CustomerContact[];
+}
+
+export interface CustomerRegistry {
+    version: number;
+    updatedAt: string | null;
+    customers: CustomerEntry[];
+}
+
+export interface DashboardConfig {
+    signalsPath: string;
+    /** Relative to email-os/ — the dashboard's registry export */
+    registryPath: string;
+}
+
+/** Business senders that are not MECHA-DASH customers */
+export interface PartnerDomain {
+    domain: string;
+    name: string;
+    role: string;
+}
+
+export interface RelationshipsConfig {
+    /** The inbox owner's own domains — never a business signal */
+    ownDomains: string[];
+    partners: PartnerDomain[];
 }
 
 // ═══════════════════════════════════════
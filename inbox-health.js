@@ -41,6 +41,11 @@
     }
   };
 
+  // Risk estimates are NT$ figures; shown in the dashboard's display currency
+  function money(ntd) {
+    return typeof Currency === 'undefined' ? `NT$ ${ntd.toLocaleString()}` : Currency.show(ntd, 'TWD');
+  }
+
   // ── Classify Subjects ──
   function classifySubjects(subjects) {
     const results = { categories: {}, classified: [], unclassified: [] };
@@ -90,7 +95,7 @@
       alerts.push({
         type: 'red',
         icon: '🔴',
-        text: `<strong>${unansweredRfq} 封詢價可能未回覆</strong> — 潛在損失 NT$ ${(unansweredRfq * 1200000).toLocaleString()}。每晚一天回覆，成交率下降 7%。`
+        text: `<strong>${unansweredRfq} 封詢價可能未回覆</strong> — 潛在損失 ${money(unansweredRfq * 1200000)}。每晚一天回覆，成交率下降 7%。`
       });
     }
 
@@ -101,7 +106,7 @@
       alerts.push({
         type: 'red',
         icon: '🔴',
-        text: `<strong>${complianceCount} 項合規/認證待處理</strong> — 認證失效 = 失去客戶資格。預估風險 NT$ ${(complianceCount * 800000).toLocaleString()}。`
+        text: `<strong>${complianceCount} 項合規/認證待處理</strong> — 認證失效 = 失去客戶資格。預估風險 ${money(complianceCount * 800000)}。`
       });
     }
 
@@ -179,7 +184,7 @@
     `).join('');
 
     // Risk amount
-    document.getElementById('inbox-risk-amount').textContent = `NT$ ${riskAmount.toLocaleString()}`;
+    document.getElementById('inbox-risk-amount').textContent = money(riskAmount);
 
     // Breakdown
     const breakdownEl = document.getElementById('inbox-breakdown');
@@ -0,0 +1,184 @@
+/**
+ * Monthly Invoices — per-deployment billing statements
+ *
+ * Builds one statement per deployment per calendar month from Earnings and
+ * the uptime ledger, persists it through Store (which owns the sequential
+ * invoice numbers), and renders it as a standalone A4 page that can be
+ * printed or saved as PDF without the dashboard around it.
+ */
+
+const Invoice = {
+  TAX_RATE: 0.05, // 營業稅 — Taiwan business tax on the MECHA-OS service fee
+  BILLING: 'TWD',  // the fee, tax and amount due are billed in NT$
+
+  // '2026-02' → { from: '2026-02-01', to: '2026-02-28' }
+  period(month) {
+    const [y, m] = month.split('-').map(n => parseInt(n));
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return { from: `${month}-01`, to: `${month}-${String(last).padStart(2, '0')}` };
+  },
+
+  find(deploymentId, month) {
+    return Store.getInvoices().find(i => i.deploymentId === deploymentId && i.period === month);
+  },
+
+  // Snapshot of the month's numbers — stored as-is so later contract edits
+  // or rate changes never rewrite an invoice that was already sent. The
+  // fee is earned in the deployment's contract currency and billed, with
+  // the tax, in NT$ at the exchange rate of the day.
+  build(deployment, month) {
+    const e = Earnings.forDeployment(deployment, this.period(month));
+    const exchangeRate = Currency.convert(1, e.currency, this.BILLING);
+    const fee = Math.round(e.mechaOsCut * exchangeRate);
+    const tax = Math.round(fee * this.TAX_RATE);
+    return {
+      deploymentId: deployment.id,
+      period: month,
+      currency: Currency.prefix(e.currency).trim(),
+      currencyCode: e.currency,
+      billingCurrency: Currency.prefix(this.BILLING).trim(),
+      exchangeRate,
+      factory: { ...deployment.factory },
+      robots: { ...deployment.robots },
+      daysWorked: e.uptime.workedDays,
+      robotDays: e.uptime.robotDays,
+      utilisation: e.uptime.utilisation,
+      dailyRate: e.dailyRate,
+      cut: e.cut,
+      guaranteeApplied: e.guaranteeApplied,
+      gross: e.gross,
+      bossTake: e.bossTake,
+      mechaOsCut: e.mechaOsCut,
+      fee,
+      taxRate: this.TAX_RATE,
+      tax,
+      totalDue: fee + tax
+    };
+  },
+
+  // Re-issuing a month returns the existing invoice so numbers never skip
+  issue(deploymentId, month) {
+    const existing = this.find(deploymentId, month);
+    if (existing) return { invoice: existing, created: false };
+
+    const deployment = Store.getDeployments().find(d => d.id === deploymentId);
+    if (!deployment) return { error: 'Deployment not found' };
+    // A snapshot of a running month could never be corrected
+    if (this.period(month).to >= new Date().toISOString().slice(0, 10)) {
+      return { error: 'Cannot invoice a month before it has ended' };
+    }
+    if (deployment.createdAt && this.period(month).to < deployment.createdAt.slice(0, 10)) {
+      return { error: 'Deployment was not active in that month' };
+    }
+    return { invoice: Store.addInvoice(this.build(deployment, month)), created: true };
+  },
+
+  _money(amount, currency) {
+    return `${currency} ${Math.round(amount).toLocaleString()}`;
+  },
+
+  toHTML(inv) {
+    const esc = escapeHtml;
+    const money = (n) => this._money(n, inv.currency);
+    const billed = (n) => this._money(n, inv.billingCurrency);
+    const { from, to } = this.period(inv.period);
+    const cut = Math.round(inv.cut * 100);
+
+    return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="UTF-8">
+<title>${esc(inv.number)} — ${esc(inv.factory?.name)}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, 'Noto Sans TC', 'PingFang TC', sans-serif; color: #111; margin: 0; font-size: 12px; }
+  .page { max-width: 180mm; margin: 0 auto; padding: 12mm 0; }
+  header { display: flex; justify-content: space-between; border-bottom: 2px solid #111; padding-bottom: 12px; }
+  h1 { font-size: 20px; margin: 0; }
+  .muted { color: #666; }
+  .meta { text-align: right; }
+  .meta strong { font-family: monospace; font-size: 14px; }
+  section { margin-top: 20px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  td.num, th.num { text-align: right; font-family: monospace; }
+  tr.total td { border-top: 2px solid #111; font-weight: 700; font-size: 14px; }
+  footer { margin-top: 32px; font-size: 11px; color: #666; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<div class="page">
+  <header>
+    <div>
+      <h1>⚡ MECHA-OS 月結帳單 · Monthly Statement</h1>
+      <div class="muted">機器人出去上班 · 替老闆賺錢</div>
+    </div>
+    <div class="meta">
+      <strong>${esc(inv.number)}</strong><br>
+      <span class="muted">Issued ${esc(inv.issuedAt?.slice(0, 10))}</span><br>
+      <span class="muted">Period ${esc(from)} → ${esc(to)}</span>
+    </div>
+  </header>
+
+  <section>
+    <div class="muted">Bill to 客戶</div>
+    <div><strong>${esc(inv.factory?.name)}</strong></div>
+    <div>${esc(inv.factory?.location)} · ${esc(inv.factory?.type)}</div>
+  </section>
+
+  <section>
+    <table>
+      <thead>
+        <tr><th>Robots 機器人</th><th>Model</th><th>Station</th><th class="num">Days Worked</th><th class="num">Robot-Days</th><th class="num">Rate / Day</th></tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>${esc(inv.robots?.count)}</td>
+          <td>${esc(inv.robots?.model)}</td>
+          <td>${esc(inv.robots?.workStation)}</td>
+          <td class="num">${inv.daysWorked}</td>
+          <td class="num">${inv.robotDays}</td>
+          <td class="num">${money(inv.dailyRate)}</td>
+        </tr>
+      </tbody>
+    </table>
+  </section>
+
+  <section>
+    <table>
+      <tbody>
+        <tr><td>Gross robot earnings 總產值${inv.guaranteeApplied ? ' <span class="muted">(monthly minimum applied)</span>' : ''}</td><td class="num">${money(inv.gross)}</td></tr>
+        <tr><td>Boss take 老闆收入 (${100 - cut}%)</td><td class="num">${money(inv.bossTake)}</td></tr>
+        <tr><td>MECHA-OS service fee 服務費 (${cut}%)</td><td class="num">${money(inv.mechaOsCut)}</td></tr>
+        <tr><td>Service fee in ${esc(inv.billingCurrency)} <span class="muted">(1 ${esc(inv.currency)} = ${inv.exchangeRate} ${esc(inv.billingCurrency)})</span></td><td class="num">${billed(inv.fee)}</td></tr>
+        <tr><td>Business tax 營業稅 (${Math.round(inv.taxRate * 100)}%)</td><td class="num">${billed(inv.tax)}</td></tr>
+        <tr class="total"><td>Amount due 應付金額</td><td class="num">${billed(inv.totalDue)}</td></tr>
+      </tbody>
+    </table>
+  </section>
+
+  <footer>
+    Utilisation ${Math.round(inv.utilisation * 100)}% · Generated by MECHA-DASH · Use your browser's Print → Save as PDF.
+  </footer>
+  <p class="no-print" style="margin-top:24px"><button onclick="window.print()">🖨️ Print / Save as PDF</button></p>
+</div>
+</body>
+</html>`;
+  },
+
+  print(inv) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.write(this.toHTML(inv));
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+  },
+
+  download(inv) {
+    downloadFile(`${inv.number}.html`, this.toHTML(inv), 'text/html');
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * RecordMerge — combine two copies of the MECHA-DASH dataset
+ *
+ * Shared by Backup (merging a file into this browser) and api-bridge.js
+ * (merging a laptop's push into the synced copy) so both resolve records
+ * the same way. Pure data in, data out: no Store and no DOM, so Node can
+ * require it too.
+ *
+ * Records are matched by id. The same record seen twice (same id, same
+ * creation time) keeps the newer copy. An unrelated record that happens to
+ * share a sequential id is renumbered, and every reference to it follows.
+ */
+
+const RecordMerge = {
+  COLLECTIONS: ['deployments', 'seeds', 'lessons', 'invoices', 'proposals'],
+
+  stamp(x) {
+    return new Date(x.updatedAt || x.harvestedAt || x.issuedAt || x.createdAt || x.plantedAt || 0).getTime();
+  },
+
+  // Same id and same creation time means the same record seen on two laptops
+  sameRecord(a, b) {
+    return (a.createdAt || a.plantedAt) === (b.createdAt || b.plantedAt);
+  },
+
+  // Same numbering as Store._nextId
+  nextId(prefix, items) {
+    const max = items.reduce((m, x) => Math.max(m, parseInt(String(x.id).slice(prefix.length)) || 0), 0);
+    return prefix + String(max + 1).padStart(3, '0');
+  },
+
+  // Union by id. Returns the id remap so references can follow, the
+  // renumbered records, and the records changed on both sides after sinceTs.
+  byId(current, incoming, sinceTs = 0) {
+    const items = [...current];
+    const remap = {};
+    const renumbered = [];
+    const clashes = [];
+    let added = 0;
+    let updated = 0;
+    incoming.forEach(x => {
+      const idx = items.findIndex(c => c.id === x.id);
+      if (idx === -1) {
+        items.push(x);
+        added++;
+        return;
+      }
+      const existing = items[idx];
+      if (JSON.stringify(existing) === JSON.stringify(x)) return;
+      if (!this.sameRecord(existing, x)) {
+        const id = this.nextId(x.id.replace(/\d+$/, ''), items);
+        remap[x.id] = id;
+        items.push({ ...x, id });
+        renumbered.push({ id: x.id, renumbered: id, record: x });
+        added++;
+        return;
+      }
+      const incomingNewer = this.stamp(x) >= this.stamp(existing);
+      if (this.stamp(existing) > sinceTs && this.stamp(x) > sinceTs) {
+        clashes.push({ id: x.id, kept: incomingNewer ? 'incoming' : 'current', discarded: incomingNewer ? existing : x });
+      }
+      if (incomingNewer) {
+        items[idx] = x;
+        updated++;
+      }
+    });
+    return { items, remap, renumbered, clashes, added, updated };
+  },
+
+  _follow(x, key, remap) {
+    return remap[x[key]] ? { ...x, [key]: remap[x[key]] } : x;
+  },
+
+  // Merges `incoming` into `current`. Deployments go first so seeds,
+  // lessons, proposals and invoices follow a renumbered deploymentId; lessons then
+  // follow a renumbered seedId. Invoice numbers have already been sent to
+  // bosses, so a number used for a different statement is reported, never
+  // renumbered. `clashes` lists deployments edited on both sides after
+  // `since`.
+  merge(current, incoming, since) {
+    const sinceTs = since ? new Date(since).getTime() : 0;
+    const data = { ...current };
+    const report = {};
+    const renumbered = [];
+    const collect = (key, result) => {
+      data[key] = result.items;
+      report[key] = { added: result.added, updated: result.updated };
+      renumbered.push(...result.renumbered.map(r => ({ collection: key, ...r })));
+      return result;
+    };
+
+    const deployments = collect('deployments',
+      this.byId(current.deployments || [], incoming.deployments || [], sinceTs));
+    const ofDeployment = x => this._follow(x, 'deploymentId', deployments.remap);
+    const seeds = collect('seeds',
+      this.byId(current.seeds || [], (incoming.seeds || []).map(ofDeployment), sinceTs));
+    collect('lessons', this.byId(current.lessons || [],
+      (incoming.lessons || []).map(ofDeployment).map(x => this._follow(x, 'seedId', seeds.remap)), sinceTs));
+    collect('proposals',
+      this.byId(current.proposals || [], (incoming.proposals || []).map(ofDeployment), sinceTs));
+
+    const invoices = [...(current.invoices || [])];
+    const conflicts = [];
+    let added = 0;
+    (incoming.invoices || []).map(ofDeployment).forEach(inv => {
+      const existing = invoices.find(i => i.number === inv.number);
+      if (!existing) {
+        invoices.push(inv);
+        added++;
+      } else if (existing.deploymentId !== inv.deploymentId || existing.period !== inv.period) {
+        conflicts.push(inv.number);
+      }
+    });
+    data.invoices = invoices;
+    report.invoices = { added, updated: 0, conflicts };
+
+    // Planted seeds may have been renumbered or come from the other side,
+    // so each deployment's active list is rebuilt from the merged seeds
+    data.deployments = data.deployments.map(d => d.desireState ? {
+      ...d,
+      desireState: {
+        ...d.desireState,
+        active_seeds: data.seeds.filter(s => s.deploymentId === d.id && s.status === 'planted').map(s => s.id)
+      }
+    } : d);
+
+    return { data, report, renumbered, clashes: deployments.clashes };
+  }
+};
+
+if (typeof module !== 'undefined') module.exports = RecordMerge;
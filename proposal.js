@@ -0,0 +1,269 @@
+/**
+ * Proposals — saved pitches, the sales pipeline and the A4 proposal document
+ *
+ * A saved proposal keeps the PitchGenerator output as it was shown to the
+ * prospect (like an invoice, later data never rewrites it) and moves
+ * through draft → sent → negotiating → won / lost. Won proposals become
+ * deployments through the deploy wizard, prefilled from the pitch.
+ *
+ * The document is a standalone, bilingual (繁體中文 / English) HTML page:
+ * cover page, ROI and scenario tables, desire timeline, Tier 1 principles
+ * and a signature block. Styles are inline and nothing is fetched, so the
+ * downloaded file prints to PDF offline.
+ */
+
+const Proposal = {
+  STATUSES: {
+    draft: { label: 'Draft', icon: '📝', color: 'var(--text-muted)' },
+    sent: { label: 'Sent', icon: '📨', color: 'var(--cyan)' },
+    negotiating: { label: 'Negotiating', icon: '🤝', color: 'var(--amber)' },
+    won: { label: 'Won', icon: '🏆', color: 'var(--green)' },
+    lost: { label: 'Lost', icon: '✖', color: 'var(--red)' }
+  },
+
+  SCENARIO_ZH: { worst: '保守', base: '基準', best: '樂觀' },
+  MATCH_ZH: { station: '同產業、同工站', type: '同產業、不同工站', none: '尚無同產業案例' },
+
+  // Record for Store.addProposal — the pitch is copied so it never changes
+  // The display currency and rate are frozen with the pitch, so a saved
+  // proposal prints the amounts the prospect saw
+  fromPitch(pitch, prospect) {
+    const saved = JSON.parse(JSON.stringify(pitch));
+    saved.display = { currency: Currency.display(), rate: Currency.convert(1, pitch.currency) };
+    return { prospect, pitch: saved };
+  },
+
+  // Document options for a saved proposal: dated the day it was saved
+  documentOptions(p) {
+    return { prospect: p.prospect, id: p.id, date: new Date(p.createdAt) };
+  },
+
+  // Projected yearly gross, house currency
+  value(p) {
+    return p.pitch?.yearlyGross || 0;
+  },
+
+  // → { [status]: { count, value, mechaOsCut } } for every status
+  pipeline(proposals) {
+    const stages = {};
+    Object.keys(this.STATUSES).forEach(status => { stages[status] = { count: 0, value: 0, mechaOsCut: 0 }; });
+    proposals.forEach(p => {
+      const stage = stages[p.status];
+      if (!stage) return;
+      stage.count++;
+      stage.value += this.value(p);
+      stage.mechaOsCut += p.pitch?.yearlyMechaOsCut || 0;
+    });
+    return stages;
+  },
+
+  // Deploy wizard prefill; contract terms stay the house terms
+  deploymentInput(p) {
+    return {
+      factory: { name: p.pitch.factory, type: p.pitch.factoryType },
+      robots: { count: p.pitch.robotCount, workStation: p.pitch.workStation }
+    };
+  },
+
+  // 陳先生's Welding Factory → 陳先生s-Welding-Factory
+  filename(pitch, { id, date = new Date() } = {}) {
+    const slug = String(pitch.factory || 'factory').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'factory';
+    return `proposal-${id ? `${id}-` : ''}${slug}-${date.toISOString().slice(0, 10)}.html`;
+  },
+
+  // prospect / id are shown on the cover when the proposal has them
+  toHTML(pitch, { prospect, id, date = new Date() } = {}) {
+    const esc = escapeHtml;
+    const display = pitch.display || { currency: Currency.display(), rate: Currency.convert(1, pitch.currency) };
+    const money = amount => esc(Currency.format(amount * display.rate, display.currency));
+    const pct = n => `${Math.round(n * 100)}%`;
+    const payback = p => p.breakevenDays === null ? '—' : `${p.breakevenDays} 天 days`;
+    const issued = date.toISOString().slice(0, 10);
+    const scenarios = PitchGenerator.scenarios(pitch);
+    const cut = Math.round(pitch.basis.cut * 100);
+    const basis = pitch.basis.source === 'comparables'
+      ? `依據 ${pitch.comparables.length} 個已部署案例（${this.MATCH_ZH[pitch.match]}）· Based on ${pitch.comparables.length} comparable deployment${pitch.comparables.length === 1 ? '' : 's'}`
+      : '依據 MECHA-OS 標準費率 · Based on MECHA-OS house rates';
+
+    return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="UTF-8">
+<title>MECHA-OS 部署提案 — ${esc(pitch.factory)}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, 'Noto Sans TC', 'PingFang TC', 'Microsoft JhengHei', sans-serif; color: #111; margin: 0; font-size: 12px; line-height: 1.5; }
+  .page { max-width: 180mm; margin: 0 auto; padding: 12mm 0; }
+  .cover { min-height: 250mm; display: flex; flex-direction: column; justify-content: space-between; page-break-after: always; break-after: page; }
+  .cover h1 { font-size: 28px; margin: 0 0 4px; }
+  .cover .factory { font-size: 22px; font-weight: 700; margin-top: 48px; }
+  .headline { margin-top: 40px; padding: 20px; border: 2px solid #111; }
+  .headline .amount { font-size: 32px; font-weight: 800; font-family: monospace; }
+  h2 { font-size: 15px; border-bottom: 2px solid #111; padding-bottom: 4px; margin: 28px 0 8px; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { font-size: 11px; color: #444; }
+  td.num, th.num { text-align: right; font-family: monospace; }
+  tr.base td { font-weight: 700; }
+  section { break-inside: avoid; }
+  ol.principles { padding-left: 0; list-style: none; }
+  ol.principles li { padding: 6px 0; border-bottom: 1px solid #eee; }
+  ol.principles strong { font-family: monospace; margin-right: 8px; }
+  .signatures { display: flex; gap: 24px; margin-top: 16px; }
+  .signatures > div { flex: 1; }
+  .line { border-bottom: 1px solid #111; height: 36px; margin-bottom: 4px; }
+  footer { margin-top: 32px; font-size: 11px; color: #666; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<div class="page">
+  <div class="cover">
+    <div>
+      <h1>⚡ MECHA-OS 部署提案</h1>
+      <div style="font-size:18px">Deployment Proposal</div>
+      <div class="factory">${esc(pitch.factory)}</div>
+      <div>${esc(pitch.workStation)} 工站 Station · ${pitch.robotCount} 台機器人 Robots · ${esc(pitch.factoryType)}</div>
+
+      <div class="headline">
+        <div class="muted">預估老闆每月收入 · Projected monthly income for the owner</div>
+        <div class="amount">${money(pitch.monthlyBossIncome)}</div>
+        <div class="muted">${basis}</div>
+      </div>
+    </div>
+    <div>
+      <div style="font-size:16px;font-weight:700">機器人出去上班 · 替老闆賺錢</div>
+      <div class="muted">Robots go to work. The owner makes money.</div>
+      ${prospect ? `<div style="margin-top:12px">致 Prepared for: <strong>${esc(prospect)}</strong></div>` : ''}
+      <div class="muted" style="margin-top:4px">${id ? `${esc(id)} · ` : ''}提案日期 Issued ${issued} · MECHA-OS</div>
+    </div>
+  </div>
+
+  <section>
+    <h2>投資報酬 · Return on Investment</h2>
+    <table>
+      <tbody>
+        <tr><td>年度總產值 Yearly gross</td><td class="num">${money(pitch.yearlyGross)}</td></tr>
+        <tr><td>老闆收入 Owner's take (${100 - cut}%)</td><td class="num">${money(pitch.yearlyBossTake)}</td></tr>
+        <tr><td>MECHA-OS 服務費 Service fee (${cut}%)</td><td class="num">${money(pitch.yearlyMechaOsCut)}</td></tr>
+        <tr><td>老闆每月收入 Owner's monthly income</td><td class="num">${money(pitch.monthlyBossIncome)}</td></tr>
+        <tr><td>相對人力成本的報酬率 ROI against replaced labour</td><td class="num">${pitch.roiPercent === null ? '—' : `${pitch.roiPercent}%`}</td></tr>
+        <tr><td>MECHA-OS 融資 ${pct(pitch.costs.financingShare)} 機器人成本 · Financed share of robots</td><td class="num">${money(pitch.financed)}</td></tr>
+        <tr><td>回收期 Payback from service fee</td><td class="num">${payback(pitch)}</td></tr>
+      </tbody>
+    </table>
+    <div class="muted" style="margin-top:6px">
+      假設 Assumptions: 每台機器人 ${money(pitch.costs.robotPrice)} per robot · 人力月薪 ${money(pitch.costs.workerSalary)} worker salary per month ·
+      每機器人日 ${money(pitch.basis.perRobotDay)} per robot-day · 稼動率 ${pct(pitch.basis.yieldShare)} utilisation
+    </div>
+  </section>
+
+  <section>
+    <h2>情境分析 · Scenarios</h2>
+    <table>
+      <thead>
+        <tr><th>情境 Scenario</th><th class="num">日費率 Rate / day</th><th class="num">稼動率 Utilisation</th><th class="num">老闆月收入 Owner / month</th><th class="num">報酬率 ROI</th><th class="num">回收期 Payback</th></tr>
+      </thead>
+      <tbody>
+        ${scenarios.map(sc => `<tr class="${sc.key === 'base' ? 'base' : ''}">
+          <td>${this.SCENARIO_ZH[sc.key] || ''} ${esc(sc.label)}</td>
+          <td class="num">${money(sc.perRobotDay)}</td>
+          <td class="num">${pct(sc.utilisation)}</td>
+          <td class="num">${money(sc.monthlyBossIncome)}</td>
+          <td class="num">${sc.roiPercent === null ? '—' : `${sc.roiPercent}%`}</td>
+          <td class="num">${payback(sc)}</td>
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+  </section>
+${pitch.comparables.length ? `
+  <section>
+    <h2>實績案例 · Comparable Deployments</h2>
+    <table>
+      <thead>
+        <tr><th>工廠 Factory</th><th class="num">機器人 Robots</th><th class="num">累計產值 Earned</th><th class="num">稼動率 Uptime</th><th class="num">首筆營收 Days to revenue</th></tr>
+      </thead>
+      <tbody>
+        ${pitch.comparables.map(e => `<tr>
+          <td>${esc(e.factory)} <span class="muted">${esc(e.workStation)}</span></td>
+          <td class="num">${e.robots}</td>
+          <td class="num">${money(e.gross)}</td>
+          <td class="num">${pct(e.utilisation)}</td>
+          <td class="num">${e.daysToRevenue ?? '—'}</td>
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+  </section>
+` : ''}
+  <section>
+    <h2>時程 · Timeline</h2>
+    <table>
+      <tbody>
+        ${pitch.desireTimeline.map(t => `<tr>
+          <td style="width:80px;font-family:monospace">第 ${t.week} 週<br><span class="muted">Week ${t.week}</span></td>
+          <td>${t.zh ? `${esc(t.zh)}<br>` : ''}<span class="muted">${esc(t.event)}</span></td>
+          <td class="num muted">${t.seen ? `${t.seen}/${t.of}` : ''}</td>
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+    <div class="muted" style="margin-top:6px">${pitch.timelineSource === 'comparables'
+      ? '依據同類工廠的實際進程（中位數） · Median of what happened at comparable factories'
+      : '標準部署流程 · Standard deployment playbook'}</div>
+  </section>
+
+  <section>
+    <h2>部署原則 · Tier 1 Principles</h2>
+    <ol class="principles">
+      ${Principles.tier1.map(p => `<li><strong>${esc(p.num)}</strong>${esc(p.zh)}<br><span class="muted">${esc(p.text)}</span></li>`).join('\n      ')}
+    </ol>
+  </section>
+
+  <section>
+    <h2>簽署 · Signatures</h2>
+    <div class="signatures">
+      <div>
+        <div class="muted">客戶 Client — ${esc(pitch.factory)}</div>
+        <div class="line"></div>
+        <div>簽名 Signature</div>
+        <div class="line"></div>
+        <div>姓名／職稱 Name / Title</div>
+        <div class="line"></div>
+        <div>日期 Date</div>
+      </div>
+      <div>
+        <div class="muted">MECHA-OS</div>
+        <div class="line"></div>
+        <div>簽名 Signature</div>
+        <div class="line"></div>
+        <div>姓名／職稱 Name / Title</div>
+        <div class="line"></div>
+        <div>日期 Date</div>
+      </div>
+    </div>
+  </section>
+
+  <footer>
+    本提案為預估值，實際收入依稼動紀錄結算。Projections only — billing follows the uptime ledger. Generated by MECHA-DASH · Use your browser's Print → Save as PDF.
+  </footer>
+  <p class="no-print" style="margin-top:24px"><button onclick="window.print()">🖨️ 列印 / 存成 PDF · Print / Save as PDF</button></p>
+</div>
+</body>
+</html>`;
+  },
+
+  print(pitch, options) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.write(this.toHTML(pitch, options));
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+  },
+
+  download(pitch, options) {
+    downloadFile(this.filename(pitch, options), this.toHTML(pitch, options), 'text/html');
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * Customer Registry — which sender belongs to which deployment
+ *
+ * Each deployment keeps its customer's email domains and named contacts in
+ * `deployment.customer` ({ domains, contacts }), edited from the DEPLOY
+ * detail view. The registry exports as data/customers.json, the file
+ * email-os reads to attribute classifications and signals, so the dashboard
+ * and the classifier resolve a sender to the same deployment.
+ *
+ * Lookup order: a contact's exact address, then the longest matching domain
+ * (subdomains included — mail.cfprec.com.tw matches cfprec.com.tw).
+ */
+
+const CustomerRegistry = {
+  FORMAT_VERSION: 1,
+  FILE: 'data/customers.json',
+
+  // "陳先生 <chen@cfprec.com.tw>", "chen@cfprec.com.tw" → "chen@cfprec.com.tw"
+  addressOf(text) {
+    const match = String(text || '').toLowerCase().match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+    return match ? match[0] : '';
+  },
+
+  domainOf(text) {
+    return this.addressOf(text).split('@')[1] || '';
+  },
+
+  // Accepts "@cfprec.com.tw", "https://www.cfprec.com.tw/", "CFPREC.com.tw"
+  normalizeDomain(text) {
+    return String(text || '').trim().toLowerCase()
+      .replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/^@/, '')
+      .replace(/[/?#].*$/, '');
+  },
+
+  parseDomains(text) {
+    const domains = String(text || '').split(/[\s,;]+/).map(d => this.normalizeDomain(d)).filter(d => d.includes('.'));
+    return [...new Set(domains)];
+  },
+
+  // One contact per line: "name, email, role" — email is required
+  parseContacts(text) {
+    return String(text || '').split('\n').map(line => {
+      const email = this.addressOf(line);
+      if (!email) return null;
+      const parts = line.split(',').map(s => s.trim());
+      const at = parts.findIndex(p => p.includes('@'));
+      return { name: parts.slice(0, at).join(', '), email, role: parts.slice(at + 1).join(', ') };
+    }).filter(Boolean);
+  },
+
+  formatContacts(contacts) {
+    return (contacts || []).map(c => [c.name, c.email, c.role].filter(Boolean).join(', ')).join('\n');
+  },
+
+  customerOf(d) {
+    return { domains: d.customer?.domains || [], contacts: d.customer?.contacts || [] };
+  },
+
+  // Decommissioned factories stay in the registry so old mail still resolves
+  entries(deployments = Store.getDeployments()) {
+    return deployments
+      .map(d => ({ deploymentId: d.id, factory: d.factory?.name || d.id, factoryType: d.factory?.type || '', ...this.customerOf(d) }))
+      .filter(e => e.domains.length || e.contacts.length);
+  },
+
+  // → deployment id or null
+  match(sender, deployments = Store.getDeployments()) {
+    const address = this.addressOf(sender);
+    if (!address) return null;
+    const entries = this.entries(deployments);
+    const contact = entries.find(e => e.contacts.some(c => c.email.toLowerCase() === address));
+    if (contact) return contact.deploymentId;
+
+    const domain = address.split('@')[1];
+    const hits = entries.flatMap(e => e.domains
+      .filter(d => domain === d || domain.endsWith(`.${d}`))
+      .map(d => ({ deploymentId: e.deploymentId, length: d.length })));
+    hits.sort((a, b) => b.length - a.length);
+    return hits[0]?.deploymentId || null;
+  },
+
+  // Domains claimed by more than one deployment — the first one listed wins a match
+  conflicts(deployments = Store.getDeployments()) {
+    const owners = {};
+    this.entries(deployments).forEach(e => e.domains.forEach(d => {
+      (owners[d] ||= []).push(e.deploymentId);
+    }));
+    return Object.entries(owners)
+      .filter(([, ids]) => ids.length > 1)
+      .map(([domain, deploymentIds]) => ({ domain, deploymentIds }));
+  },
+
+  build(deployments = Store.getDeployments()) {
+    return {
+      version: this.FORMAT_VERSION,
+      updatedAt: new Date().toISOString(),
+      customers: this.entries(deployments)
+    };
+  },
+
+  download() {
+    const file = this.build();
+    downloadFile('customers.json', JSON.stringify(file, null, 2));
+    return file;
+  },
+
+  // Fill in deployments that have no customer record yet from a registry
+  // file (the demo data ships one alongside data/deployments.json)
+  adopt(file, deployments) {
+    (file?.customers || []).forEach(entry => {
+      const d = deployments.find(x => x.id === entry.deploymentId);
+      if (!d || d.customer?.domains?.length || d.customer?.contacts?.length) return;
+      d.customer = {
+        domains: this.parseDomains((entry.domains || []).join(' ')),
+        contacts: (entry.contacts || []).filter(c => c?.email)
+      };
+    });
+    return deployments;
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Storage Adapters — where the Store persists its data
+ *
+ * Store keeps the working dataset in memory and hands every save to one of
+ * these adapters. IndexedDB is preferred: one object store per entity, with
+ * indexes on factory type and createdAt, so data can grow past the few MB
+ * localStorage allows. Browsers without IndexedDB (or with it blocked, e.g.
+ * some private modes) fall back to the original single localStorage blob.
+ *
+ * Adapter contract:
+ *   read(key)        → Promise<data | null>   whole dataset
+ *   write(key, data) → Promise<void>           whole dataset
+ */
+
+const StorageAdapters = {
+  localStorage: {
+    name: 'localStorage',
+
+    async read(key) {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async write(key, data) {
+      localStorage.setItem(key, JSON.stringify(data));
+    }
+  },
+
+  indexedDB: {
+    name: 'indexedDB',
+    DB_VERSION: 2,
+    ENTITIES: {
+      deployments: { keyPath: 'id', indexes: { factoryType: 'factory.type', createdAt: 'createdAt' } },
+      seeds: { keyPath: 'id', indexes: { deploymentId: 'deploymentId', createdAt: 'plantedAt' } },
+      lessons: { keyPath: 'id', indexes: { deploymentId: 'deploymentId', createdAt: 'createdAt' } },
+      invoices: { keyPath: 'number', indexes: { deploymentId: 'deploymentId', createdAt: 'issuedAt' } },
+      proposals: { keyPath: 'id', indexes: { status: 'status', createdAt: 'createdAt' } }
+    },
+    _db: null,
+
+    _request(req) {
+      return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    },
+
+    open(key) {
+      if (this._db) return Promise.resolve(this._db);
+      const req = indexedDB.open(key, this.DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.entries(this.ENTITIES).forEach(([name, spec]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath: spec.keyPath });
+          Object.entries(spec.indexes).forEach(([index, path]) => store.createIndex(index, path));
+        });
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      return this._request(req).then(db => (this._db = db));
+    },
+
+    async read(key) {
+      const db = await this.open(key);
+      const names = [...Object.keys(this.ENTITIES), 'meta'];
+      const tx = db.transaction(names, 'readonly');
+      const [meta, ...lists] = await Promise.all([
+        this._request(tx.objectStore('meta').getAll()),
+        ...Object.keys(this.ENTITIES).map(name => this._request(tx.objectStore(name).getAll()))
+      ]);
+      if (meta.length === 0 && lists.every(list => list.length === 0)) return null;
+
+      const data = {};
+      meta.forEach(m => { data[m.key] = m.value; });
+      Object.keys(this.ENTITIES).forEach((name, i) => { data[name] = lists[i]; });
+      return data;
+    },
+
+    async write(key, data) {
+      const db = await this.open(key);
+      const names = [...Object.keys(this.ENTITIES), 'meta'];
+      const tx = db.transaction(names, 'readwrite');
+      names.forEach(name => tx.objectStore(name).clear());
+      Object.keys(this.ENTITIES).forEach(name => {
+        (data[name] || []).forEach(record => tx.objectStore(name).put(record));
+      });
+      // Everything that isn't an entity list (version, migrations …) lives in 'meta'
+      Object.entries(data)
+        .filter(([k]) => !this.ENTITIES[k])
+        .forEach(([k, value]) => tx.objectStore('meta').put({ key: k, value }));
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    // Direct index lookup, e.g. query(key, 'deployments', 'factoryType', 'metalwork')
+    async query(key, entity, index, value) {
+      const db = await this.open(key);
+      const tx = db.transaction(entity, 'readonly');
+      return this._request(tx.objectStore(entity).index(index).getAll(value));
+    }
+  },
+
+  // IndexedDB when it opens, otherwise localStorage. Data already sitting in
+  // localStorage is moved into IndexedDB the first time.
+  async pick(key) {
+    if (typeof indexedDB === 'undefined') return this.localStorage;
+    try {
+      const idb = this.indexedDB;
+      await idb.open(key);
+      if (!(await idb.read(key))) {
+        const legacy = await this.localStorage.read(key);
+        if (legacy) {
+          await idb.write(key, legacy);
+          localStorage.removeItem(key);
+        }
+      }
+      return idb;
+    } catch {
+      return this.localStorage;
+    }
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Team Sync — share dashboard data between laptops through api-bridge.js
+ *
+ * Each API key owns one snapshot on the bridge. "Sync" pushes this
+ * browser's Store, the bridge merges it with the same rules as a backup
+ * import (merge.js) and sends back the combined data, which replaces the
+ * local copy. Deployments edited on two laptops since the last sync come
+ * back as conflicts: the newer edit is kept and the discarded copy is
+ * listed so it can be redone. Records created on two laptops with the same
+ * id are renumbered and listed too.
+ *
+ * Endpoint and key are per-browser settings, kept outside the Store so a
+ * backup file never carries credentials.
+ */
+
+const Sync = {
+  _configKey: 'mecha_dash_sync',
+
+  config() {
+    const defaults = {
+      endpoint: window.MECHA_CONFIG?.endpoint || 'http://localhost:18800',
+      apiKey: '',
+      lastSyncedAt: null,
+      revision: 0,
+      conflicts: []
+    };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(this._configKey) || '{}') };
+    } catch {
+      return defaults;
+    }
+  },
+
+  saveConfig(updates) {
+    const cfg = { ...this.config(), ...updates };
+    localStorage.setItem(this._configKey, JSON.stringify(cfg));
+    return cfg;
+  },
+
+  async _call(method, body) {
+    const cfg = this.config();
+    if (!cfg.apiKey) throw new Error('Set an API key first');
+    const res = await fetch(`${cfg.endpoint.replace(/\/$/, '')}/api/v1/sync`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': cfg.apiKey },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Bridge returned ${res.status}`);
+    return data;
+  },
+
+  // Remote data goes through the same migrations as anything else we load
+  _adopt(snapshot) {
+    const result = Migrations.run(snapshot);
+    if (result.error) throw new Error(result.error);
+    Store.replaceAll(result.data);
+  },
+
+  async push() {
+    const cfg = this.config();
+    const res = await this._call('POST', { snapshot: Store.get(), since: cfg.lastSyncedAt });
+    this._adopt(res.snapshot);
+    this.saveConfig({
+      lastSyncedAt: res.syncedAt,
+      revision: res.revision,
+      conflicts: [...res.conflicts, ...cfg.conflicts]
+    });
+    Bus.emit('sync:done', { revision: res.revision, conflicts: res.conflicts.length });
+    return res;
+  },
+
+  // Local records created or edited since the last sync — a pull would
+  // silently drop them. A laptop that never synced has no baseline.
+  unsyncedChanges() {
+    const since = this.config().lastSyncedAt;
+    if (!since) return 0;
+    const sinceTs = new Date(since).getTime();
+    const data = Store.get();
+    return RecordMerge.COLLECTIONS
+      .reduce((n, key) => n + (data[key] || []).filter(x => RecordMerge.stamp(x) > sinceTs).length, 0);
+  },
+
+  // Replace local data with the bridge copy (e.g. setting up a new laptop).
+  // Refused while there are unsynced local changes — push those first.
+  async pull() {
+    const unsynced = this.unsyncedChanges();
+    if (unsynced) throw new Error(`${unsynced} local change${unsynced > 1 ? 's' : ''} since the last sync — use Sync instead`);
+    const res = await this._call('GET');
+    if (!res.snapshot) throw new Error('Nothing synced for this key yet');
+    this._adopt(res.snapshot);
+    this.saveConfig({ lastSyncedAt: res.syncedAt, revision: res.revision });
+    Bus.emit('sync:done', { revision: res.revision, conflicts: 0 });
+    return res;
+  },
+
+  dismissConflict(index) {
+    const conflicts = this.config().conflicts.filter((_, i) => i !== index);
+    this.saveConfig({ conflicts });
+  }
+};